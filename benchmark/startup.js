@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+// Measures how long the installer takes to start and install a single pack on a server with 500 installed packs.
+// Usage: node benchmark/startup.js [packCount] [runs]
+
+import BDSAddonInstaller from '../index.js';
+import admZip from 'adm-zip';
+import crypto from 'crypto';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+
+const packCount = parseInt(process.argv[2]) || 500;
+const runs = parseInt(process.argv[3]) || 5;
+const serverPath = path.join(os.tmpdir(), 'bds-addon-installer-benchmark');
+const addonPath = path.join(serverPath, 'BDS-Addons');
+const indexPath = path.join(addonPath, '.pack-index.json');
+const packFile = path.join(addonPath, 'benchmark.mcpack');
+const packUuid = crypto.randomUUID();
+
+run().catch(err => {
+    console.log(err.message);
+    process.exit(1);
+}).finally(() => fs.removeSync(serverPath));
+
+/**
+ * Creates the fixture server and prints the median time of each scenario.
+ */
+async function run() {
+    console.log(`Creating a server with ${packCount} installed packs in ${serverPath}`);
+    createFixture();
+
+    // Logging is shared by every installer, quiet it once so the results are readable.
+    new BDSAddonInstaller(serverPath).setLogConfig({logGeneral: false, logWarning: false, logError: true, logDetail: false, logDebug: false});
+
+    let results = [
+        ['Full scan without an index (previous constructor)', await measure(true, async () => {
+            new BDSAddonInstaller(serverPath).listPacks();
+        })],
+        ['create() with an index', await measure(false, () => BDSAddonInstaller.create(serverPath))],
+        ['create() + install one pack without an index', await measure(true, installPack)],
+        ['create() + install one pack with an index', await measure(false, installPack)],
+        ['create() + listPacks() with an index', await measure(false, async () => {
+            (await BDSAddonInstaller.create(serverPath)).listPacks();
+        })]
+    ];
+
+    console.log(`\nMedian of ${runs} runs:`);
+    for (let [name, time] of results) console.log(` ${name.padEnd(52)} ${time.toFixed(1).padStart(8)} ms`);
+}
+
+/**
+ * Runs a scenario several times, removing the installed benchmark pack after each run.
+ * @param {Boolean} removeIndex - Should the manifest index be deleted before each run?
+ * @param {Function} scenario - An async function to time.
+ * @returns {Number} The median time of the runs in milliseconds.
+ */
+async function measure(removeIndex, scenario) {
+    let times = [];
+    for (let i = 0; i < runs; i++) {
+        if (removeIndex) fs.removeSync(indexPath);
+        let start = process.hrtime.bigint();
+        await scenario();
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+
+        // Put the server back how it was, outside of the timed section.
+        let installer = await BDSAddonInstaller.create(serverPath);
+        if (installer.listPacks().some(pack => pack.uuid == packUuid)) await installer.uninstallAddon(packUuid);
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+/**
+ * Creates an installer and installs the benchmark pack to it.
+ */
+async function installPack() {
+    let installer = await BDSAddonInstaller.create(serverPath);
+    let summary = await installer.installAddon(packFile);
+    if (summary.packs.some(pack => pack.action == 'failed')) throw new Error('Unable to install the benchmark pack. ' + summary.packs[0].error);
+}
+
+/**
+ * Creates a server with the provided number of resource and behavior packs installed, similar to the vanilla packs of BDS.
+ */
+function createFixture() {
+    fs.removeSync(serverPath);
+    let knownPacks = [{file_version: 2}];
+    for (let i = 0; i < packCount; i++) {
+        let type = i % 2 == 0 ? 'resources' : 'data';
+        let directory = type == 'resources' ? 'resource_packs' : 'behavior_packs';
+        let name = `vanilla_${i}`;
+        let uuid = crypto.randomUUID();
+        let location = path.join(serverPath, directory, name);
+        fs.outputJsonSync(path.join(location, 'manifest.json'), createManifest(name, uuid, type));
+        fs.outputFileSync(path.join(location, 'texts', 'en_US.lang'), `pack.name=${name}\n`);
+        fs.outputJsonSync(path.join(location, 'contents.json'), {content: [{path: 'manifest.json'}]});
+        knownPacks.push({file_system: 'RawPath', path: `${directory}/${name}`, uuid, version: '1.0.0'});
+    }
+    fs.outputJsonSync(path.join(serverPath, 'valid_known_packs.json'), knownPacks);
+    fs.outputFileSync(path.join(serverPath, 'server.properties'), 'level-name=Bedrock level\n');
+    fs.ensureDirSync(path.join(serverPath, 'worlds', 'Bedrock level'));
+
+    // A saved ledger matches a server the installer has been used with before.
+    fs.outputJsonSync(path.join(addonPath, '.installer-state.json'), {packs: []});
+    let zip = new admZip();
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(createManifest('Benchmark', packUuid, 'data'))));
+    zip.writeZip(packFile);
+}
+
+/**
+ * Creates the manifest of a fixture pack.
+ * @param {String} name - The name of the pack.
+ * @param {String} uuid - The uuid of the pack.
+ * @param {String} type - The module type of the pack, resources or data.
+ * @returns {Object} The manifest.
+ */
+function createManifest(name, uuid, type) {
+    return {
+        format_version: 2,
+        header: {name, description: 'Benchmark fixture', uuid, version: [1, 0, 0], min_engine_version: [1, 20, 0]},
+        modules: [{type, uuid: crypto.randomUUID(), version: [1, 0, 0]}]
+    };
+}
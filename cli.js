@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-import BDSAddonInstaller from './index.js';
+import BDSAddonInstaller, {formatVersion} from './index.js';
 import path from 'path';
 import fs from 'fs-extra';
 
@@ -9,9 +9,48 @@ const cwd = process.cwd();
 
 const addonDirectory = 'BDS-Addons';
 const requiredFiles = ['behavior_packs', 'resource_packs', 'valid_known_packs.json'];
-const useExample = ' bds-addon-installer <pathToServer> \n Example: bds-addon-installer "C:\\Program Files\\BedrockServer\\" \n';
+const useExample = ' bds-addon-installer <pathToServer> [--dry-run] [--allow-downgrade] [--strict] [--check-conflicts] \n Example: bds-addon-installer "C:\\Program Files\\BedrockServer\\" \n' +
+    ' bds-addon-installer install <url> <pathToServer> [--sha256 <hash>] [--retries <count>] [--timeout <ms>] \n Example: bds-addon-installer install https://example.com/myPack.mcpack \n' +
+    ' bds-addon-installer uninstall <pack> <pathToServer> [--force] \n Example: bds-addon-installer uninstall myPack.mcpack \n' +
+    ' bds-addon-installer disable <pack> <pathToServer> [--known-packs] \n Example: bds-addon-installer disable myPack \n' +
+    ' bds-addon-installer enable <pack> <pathToServer> \n Example: bds-addon-installer enable myPack \n' +
+    ' bds-addon-installer export <pathToServer> [--format mcaddon|mcworld] [--type resources|data] [--uuid <uuid,...>] [--output <file>] \n Example: bds-addon-installer export --format mcworld \n' +
+    ' bds-addon-installer doctor <pathToServer> [--fix] [--json] \n Example: bds-addon-installer doctor --fix \n' +
+    ' bds-addon-installer conflicts <pathToServer> [--json] \n Example: bds-addon-installer conflicts \n' +
+    ' bds-addon-installer experiments list|enable|disable [experiment,...] <pathToServer> [--json] \n Example: bds-addon-installer experiments enable gametest \n' +
+    ' bds-addon-installer config list <pathToServer> [--json] \n Example: bds-addon-installer config list \n' +
+    ' bds-addon-installer config get <setting> <pathToServer> [--json] \n Example: bds-addon-installer config get texturepack-required \n' +
+    ' bds-addon-installer config set <setting> <value> <pathToServer> \n Example: bds-addon-installer config set texturepack-required true \n' +
+    ' bds-addon-installer list <pathToServer> [--json] \n Example: bds-addon-installer list --json \n' +
+    ' bds-addon-installer validate [pack] <pathToServer> [--strict] [--json] \n Example: bds-addon-installer validate myPack.mcpack \n' +
+    ' bds-addon-installer restore [snapshot] <pathToServer> [--list] \n Example: bds-addon-installer restore \n' +
+    ' bds-addon-installer watch <pathToServer> \n Example: bds-addon-installer watch \n' +
+    ' bds-addon-installer sync <pathToServer> \n Example: bds-addon-installer sync \n' +
+    ' bds-addon-installer order list <pathToServer> [--json] \n Example: bds-addon-installer order list \n' +
+    ' bds-addon-installer order move <pack> <pathToServer> [--before <pack>] [--after <pack>] [--top] [--bottom] \n Example: bds-addon-installer order move myPack --top \n' +
+    ' Use --world <name> or --all-worlds with any command to choose the worlds to use. \n';
 
-console.log('\nRunning Bedrock Dedicated Server Addon Installer...');
+// Commands that can be provided before the server path and the number of arguments each one requires.
+const commands = {
+    'install': 0,
+    'uninstall': 1,
+    'disable': 1,
+    'enable': 1,
+    'list': 0,
+    'restore': 0,
+    'validate': 0,
+    'watch': 0,
+    'sync': 0,
+    'order': 1,
+    'export': 0,
+    'doctor': 0,
+    'conflicts': 0,
+    'experiments': 1,
+    'config': 1
+};
+
+// Options that do not have a value.
+const flags = ['-r', '-v', '--json', '--all-worlds', '--force', '--dry-run', '--list', '--allow-downgrade', '--strict', '--top', '--bottom', '--known-packs', '--fix', '--no-experiments', '--texturepack-required', '--check-conflicts'];
 
 // Check if the user has added the -r option. This is for removing old addons before installing the new addons.
 let removeOldPacks = false;
@@ -21,8 +60,116 @@ if (args.includes('-r')) removeOldPacks = true;
 let verboseMode = false;
 if (args.includes('-v')) verboseMode = true;
 
+// Check if the user has added the --json option. This is for printing results as JSON.
+let jsonOutput = false;
+if (args.includes('--json')) jsonOutput = true;
+
+// Check if the user has added the --dry-run option. This is for showing the planned changes without making them.
+let dryRun = false;
+if (args.includes('--dry-run')) dryRun = true;
+
+// Check if the user has added the --force option. This is for uninstalling packs that other packs depend on.
+let force = false;
+if (args.includes('--force')) force = true;
+
+// Check if the user has added the --all-worlds option. This is for using every world in the worlds directory.
+let allWorlds = false;
+if (args.includes('--all-worlds')) allWorlds = true;
+
+// Check if the user has added the --allow-downgrade option. This is for replacing installed packs with older versions.
+let downgrade = null;
+if (args.includes('--allow-downgrade')) downgrade = 'allow';
+
+// Check if the user has added the --strict option. This is for refusing to install packs with validation warnings.
+let strict = false;
+if (args.includes('--strict')) strict = true;
+
+// Check if the user has added the --known-packs option. This is for also removing disabled packs from valid_known_packs.json.
+let removeKnownPack = false;
+if (args.includes('--known-packs')) removeKnownPack = true;
+
+// Check if the user has added the --fix option. This is for repairing the problems found by the doctor command.
+let fix = false;
+if (args.includes('--fix')) fix = true;
+
+// Check if the user has added the --no-experiments option. This is for stopping the experiments packs need from being enabled automatically.
+let experiments = true;
+if (args.includes('--no-experiments')) experiments = false;
+
+// Check if the user has added the --texturepack-required option. This is for making players download the installed resource packs.
+let texturepackRequired = false;
+if (args.includes('--texturepack-required')) texturepackRequired = true;
+
+// Check if the user has added the --check-conflicts option. This is for warning about packs that override each other before they are installed.
+let checkConflicts = false;
+if (args.includes('--check-conflicts')) checkConflicts = true;
+
+// Check if the user has added the --list option. This is for listing the saved snapshots instead of restoring one.
+let listSnapshots = false;
+if (args.includes('--list')) listSnapshots = true;
+
+// Check if the user has added the --world option. This is for using a world other than the server.properties level-name.
+let world = readOption('--world');
+
+// Check if the user has added the --sha256 option. This is for verifying a downloaded pack before it is installed.
+let sha256 = readOption('--sha256');
+
+// Check if the user has added the --retries or --timeout options. These are for changing how packs are downloaded.
+let downloadRetries = readOption('--retries');
+if (downloadRetries != null) downloadRetries = parseInt(downloadRetries);
+let downloadTimeout = readOption('--timeout');
+if (downloadTimeout != null) downloadTimeout = parseInt(downloadTimeout);
+
+// Check if the user has added the --keep-snapshots option. This is for changing the number of snapshots kept.
+let snapshotRetention = readOption('--keep-snapshots');
+if (snapshotRetention != null) snapshotRetention = parseInt(snapshotRetention);
+
+// Check if the user has added the --format, --type, --uuid or --output options. These are for choosing what the export command packages.
+let exportOptions = {format: readOption('--format'), types: readList('--type'), uuids: readList('--uuid'), output: readOption('--output')};
+
+// Check if the user has added the --before, --after, --top or --bottom options. These are for choosing where the order command moves a pack.
+let position = {before: readOption('--before'), after: readOption('--after'), top: args.includes('--top'), bottom: args.includes('--bottom')};
+
 // Remove options from the argument array
-args = args.filter(arg => arg != '-r' && arg != '-v');
+args = args.filter(arg => !flags.includes(arg));
+
+// JSON output is intended to be read by other tools and should not include the banner.
+if (!jsonOutput) console.log('\nRunning Bedrock Dedicated Server Addon Installer...');
+
+// Check if the user has provided a command, otherwise install all addons.
+let command = 'install';
+if (Object.keys(commands).includes(args[0])) command = args.shift();
+let commandArgs = args.splice(0, commands[command]);
+
+// The restore command accepts an optional snapshot id before the server path.
+if (command == 'restore' && /^\d{4}-\d{2}-\d{2}T[\d-]+Z(-\d+)?$/.test(args[0])) commandArgs.push(args.shift());
+
+// The install command accepts an optional URL to download before the server path.
+if (command == 'install' && /^https?:\/\//i.test(args[0] || '')) commandArgs.push(args.shift());
+
+// The experiments command lists the toggles or changes the provided experiments.
+if (command == 'experiments' && ['enable', 'disable'].includes(commandArgs[0]) && args.length > 0) commandArgs.push(args.shift());
+if (command == 'experiments' && !['list', 'enable', 'disable'].includes(commandArgs[0])) commandArgs = [];
+if (command == 'experiments' && commandArgs[0] != 'list' && commandArgs.length < 2) commandArgs = [];
+
+// The config command lists the settings, reads the provided setting or changes it.
+if (command == 'config' && commandArgs[0] == 'get' && args.length > 0) commandArgs.push(args.shift());
+if (command == 'config' && commandArgs[0] == 'set') commandArgs = commandArgs.concat(args.splice(0, 2));
+if (command == 'config' && !['list', 'get', 'set'].includes(commandArgs[0])) commandArgs = [];
+if (command == 'config' && commandArgs[0] == 'get' && commandArgs.length < 2) commandArgs = [];
+if (command == 'config' && commandArgs[0] == 'set' && commandArgs.length < 3) commandArgs = [];
+
+// The validate command accepts an optional pack before the server path.
+if (command == 'validate' && (args.length > 1 || /\.(mcpack|mcaddon|zip)$/i.test(args[0] || ''))) commandArgs.push(args.shift());
+// The order command lists the pack stacks or moves the provided pack.
+if (command == 'order' && commandArgs[0] == 'move' && args.length > 0) commandArgs.push(args.shift());
+if (command == 'order' && !['list', 'move'].includes(commandArgs[0])) commandArgs = [];
+if (command == 'order' && commandArgs[0] == 'move' && commandArgs.length < 2) commandArgs = [];
+if (commandArgs.length < commands[command]) {
+    console.log(`The ${command} command is missing required arguments.`);
+    console.log(useExample);
+    process.exit(1);
+}
 
 // If multiple arguments provided cancel execution. There may be a space in the path provided but no quotes.
 if (args.length > 1) { 
@@ -72,6 +219,308 @@ if (!fs.existsSync(addonPath)) {
     process.exit();
 }
 
-// Install the addons.
-const installer = new BDSAddonInstaller(serverPath, verboseMode);
-installer.installAllAddons(removeOldPacks)
+let installer;
+try {
+    installer = await BDSAddonInstaller.create(serverPath, verboseMode, {world, snapshotRetention, downgrade, strict, downloadRetries, downloadTimeout, experiments, texturepackRequired, checkConflicts});
+} catch (err) {
+    console.log(err.message);
+    process.exit(1);
+}
+const worlds = allWorlds ? installer.listWorlds() : [null];
+run().catch(err => {
+    console.log(err.message);
+    process.exit(1);
+});
+
+/**
+ * Runs the requested command for each of the selected worlds.
+ */
+async function run() {
+    // Snapshots are shared by all worlds, so restore only runs once.
+    if (command == 'restore') {
+        let snapshots = installer.listSnapshots();
+        if (listSnapshots) {
+            if (jsonOutput) return console.log(JSON.stringify(snapshots, undefined, 2));
+            console.log(`Found ${snapshots.length} snapshot(s).`);
+            snapshots.forEach(snapshot => console.log(` - ${snapshot.id} (${snapshot.world}, ${snapshot.status}, ${snapshot.changes} change(s))`));
+            return;
+        }
+        return installer.restore(commandArgs[0]);
+    }
+
+    // Packs are validated before they are installed to any world, so validate only runs once.
+    if (command == 'validate') {
+        let results = commandArgs[0] ? await installer.validatePack(commandArgs[0]) : await installer.validateAllAddons();
+        if (jsonOutput) console.log(JSON.stringify(results, undefined, 2));
+        else printValidation(results);
+        let failed = results.some(result => result.errors.length > 0 || (strict && result.warnings.length > 0));
+        if (failed) process.exitCode = 1;
+        return;
+    }
+
+    // Install the packs already in BDS-Addons and then keep watching for changes.
+    if (command == 'watch') {
+        if (allWorlds) throw new Error('The watch command installs to a single world. Use --world to choose the world.');
+        let summary = await installer.installAllAddons();
+        printSummary(summary);
+        let watcher = installer.watch();
+        console.log('Press Ctrl+C to stop watching.');
+        process.once('SIGINT', async () => {
+            await watcher.close();
+            process.exit();
+        });
+        return;
+    }
+
+    // The bds-addons.json file lists the worlds for each pack, so sync only runs once.
+    if (command == 'sync') {
+        if (allWorlds || world) throw new Error('The sync command uses the worlds listed in bds-addons.json.');
+        let summary = await installer.sync();
+        printSummary(summary);
+        if (summary.packs.some(pack => pack.action == 'failed')) process.exitCode = 1;
+        return;
+    }
+
+    // The server.properties file is shared by all worlds, so config only runs once.
+    if (command == 'config') {
+        if (allWorlds || world) throw new Error('The config command changes server.properties, which is shared by every world.');
+        if (commandArgs[0] == 'set') await installer.setServerProperty(commandArgs[1], commandArgs[2]);
+        let properties = installer.getServerProperties(commandArgs[1]);
+        if (jsonOutput) return console.log(JSON.stringify(properties, undefined, 2));
+        Object.entries(properties).forEach(([key, value]) => console.log(`${key}=${value == null ? '' : value}${value == null ? ' (not set)' : ''}`));
+        if (commandArgs[0] == 'set') console.log('Restart the server to use the new value.');
+        return;
+    }
+
+    // When using multiple worlds the pack may only be installed to some of them, so errors are counted instead of stopping the command.
+    // Other errors, or a pack that is in no world at all, still fail the command.
+    let failedWorlds = 0;
+    let runPackCommand = async action => {
+        try {
+            await action();
+        } catch (err) {
+            if (!allWorlds) throw err;
+            console.error(err.message);
+            failedWorlds++;
+            if (err.code != 'PACK_NOT_INSTALLED') process.exitCode = 1;
+        }
+    };
+
+    let listed = [];
+    let plans = [];
+    for (let worldName of worlds) {
+        if (worldName) {
+            installer.setWorld(worldName);
+            if (!jsonOutput) console.log('\nWorld: ' + worldName);
+        }
+
+        // Uninstall the requested pack.
+        if (command == 'uninstall') await runPackCommand(() => installer.uninstallAddon(commandArgs[0], force));
+
+        // Turn the requested pack off or back on without deleting its files.
+        if (command == 'disable') await runPackCommand(() => installer.disablePack(commandArgs[0], removeKnownPack));
+        if (command == 'enable') await runPackCommand(() => installer.enablePack(commandArgs[0]));
+
+        // List or change the experiment toggles of the world.
+        if (command == 'experiments') {
+            let toggles = {};
+            if (commandArgs[0] != 'list') commandArgs[1].split(',').forEach(key => toggles[key.trim()] = commandArgs[0] == 'enable');
+            let results = commandArgs[0] == 'list' ? installer.listExperiments() : await installer.setExperiments(toggles);
+            listed.push(results);
+            if (!jsonOutput) results.forEach(experiment => console.log(` - [${experiment.enabled ? 'on' : 'off'}] ${experiment.name} (${experiment.key})`));
+        }
+
+        // Check the world and server for inconsistent pack state. Problems that remain fail the command.
+        if (command == 'doctor') {
+            let report = await installer.doctor(fix);
+            listed.push(report);
+            if (!jsonOutput) printDoctor(report);
+            if (report.problems.some(problem => !problem.fixed)) process.exitCode = 1;
+        }
+
+        // Find the packs that override each other's files and identifiers.
+        if (command == 'conflicts') {
+            let report = await installer.findConflicts();
+            listed.push(report);
+            if (!jsonOutput) printConflicts(report);
+        }
+
+        // Package the world packs for players that can not download them from the server.
+        if (command == 'export') {
+            if (allWorlds && exportOptions.output) throw new Error('The --output option can not be used with --all-worlds, each world is exported to its own file.');
+            let result = await installer.exportPacks(exportOptions);
+            listed.push(result);
+            if (!jsonOutput) console.log(`Exported ${result.packs.length} pack(s) to ${result.file}`);
+        }
+
+        // List or change the order of the world pack stacks.
+        if (command == 'order') {
+            let order = commandArgs[0] == 'move' ? await installer.movePack(commandArgs[1], position) : installer.listPackOrder();
+            listed.push(order);
+            if (!jsonOutput) printOrder(order);
+        }
+
+        // List the installed packs.
+        if (command == 'list') {
+            let packs = installer.listPacks();
+            listed = listed.concat(packs);
+            if (!jsonOutput) {
+                console.log(`Found ${packs.length} installed pack(s).`);
+                for (let pack of packs) {
+                    let folder = pack.worldFolder || pack.serverFolder;
+                    console.log(` - [${pack.disabled ? 'disabled' : pack.status}] ${pack.name} (${pack.type}) v${formatVersion(pack.version)}${pack.managed ? ' - managed' : ''}${pack.source ? ' from ' + pack.source : ''}`);
+                    console.log(`     ${pack.uuid} @ ${path.relative(serverPath, folder)}`);
+                }
+            }
+        }
+
+        // Download and install the requested pack.
+        if (command == 'install' && commandArgs[0]) {
+            if (dryRun) throw new Error('The --dry-run option can not be used when installing a URL.');
+            let summary = await installer.installAddon(commandArgs[0], {sha256});
+            printSummary(summary);
+            if (summary.packs.some(pack => pack.action == 'failed')) process.exitCode = 1;
+            continue;
+        }
+
+        // Show the planned changes without installing the addons.
+        if (command == 'install' && dryRun) {
+            let plan = await installer.plan(removeOldPacks);
+            plans.push(plan);
+            if (!jsonOutput) printPlan(plan);
+        }
+
+        // Install the addons. Any failed pack fails the command so deploy scripts can stop.
+        if (command == 'install' && !dryRun) {
+            let summary = await installer.installAllAddons(removeOldPacks);
+            printSummary(summary);
+            if (summary.packs.some(pack => pack.action == 'failed')) process.exitCode = 1;
+        }
+    }
+    if (failedWorlds > 0 && failedWorlds == worlds.length) process.exitCode = 1;
+    if (command == 'list' && jsonOutput) console.log(JSON.stringify(listed, undefined, 2));
+    if (command == 'experiments' && jsonOutput) console.log(JSON.stringify(allWorlds ? listed : listed[0], undefined, 2));
+    if (command == 'doctor' && jsonOutput) console.log(JSON.stringify(allWorlds ? listed : listed[0], undefined, 2));
+    if (command == 'conflicts' && jsonOutput) console.log(JSON.stringify(allWorlds ? listed : listed[0], undefined, 2));
+    if (command == 'export' && jsonOutput) console.log(JSON.stringify(allWorlds ? listed : listed[0], undefined, 2));
+    if (command == 'order' && jsonOutput) console.log(JSON.stringify(allWorlds ? listed : listed[0], undefined, 2));
+    if (command == 'install' && dryRun && jsonOutput) console.log(JSON.stringify(allWorlds ? plans : plans[0], undefined, 2));
+}
+
+/**
+ * Prints the errors and warnings found while validating packs.
+ * @param {Object[]} results - The validation results returned by the installer.
+ */
+function printValidation(results) {
+    console.log(`Validated ${results.length} pack(s).`);
+    for (let result of results) {
+        let status = result.errors.length > 0 ? 'error' : result.warnings.length > 0 ? 'warning' : 'ok';
+        console.log(` - [${status}] ${result.name || path.basename(result.file)} (${path.relative(serverPath, result.file)})`);
+        result.errors.forEach(error => console.log('     error: ' + error));
+        result.warnings.forEach(warning => console.log('     warning: ' + warning));
+    }
+}
+
+/**
+ * Prints the number of packs that were installed, upgraded, removed, skipped and failed.
+ * @param {Object} summary - The install summary returned by the installer.
+ */
+function printSummary(summary) {
+    let count = actions => summary.packs.filter(pack => actions.includes(pack.action)).length;
+    let removed = count(['removed']) > 0 ? `, removed ${count(['removed'])}` : '';
+    console.log(`Installed ${count(['new', 'reinstalled'])}, upgraded ${count(['upgraded', 'downgraded'])}${removed}, skipped ${count(['unchanged', 'skipped'])} and failed ${count(['failed'])} pack(s).`);
+    if (summary.rolledBack) console.log('A pack failed after the server was changed, every change from this run was restored.');
+    if (summary.conflicts && summary.conflicts.length > 0) console.log(`Found ${summary.conflicts.length} conflict(s) with the installed packs. Run the conflicts command for details.`);
+}
+
+/**
+ * Prints the conflicts found between the packs of a world.
+ * @param {Object} report - The conflict report returned by the installer.
+ */
+function printConflicts(report) {
+    console.log(`Found ${report.conflicts.length} conflict(s) between the packs of ${report.world}.`);
+    for (let conflict of report.conflicts) {
+        console.log(` - [${conflict.type.replace('_', ' ')}] ${conflict.key}`);
+        for (let pack of conflict.packs) {
+            let status = pack.uuid == conflict.winner.uuid ? 'used' : 'overridden';
+            console.log(`     ${pack.position}. ${pack.name} v${formatVersion(pack.version)} (${status}${pack.pending ? ', waiting in ' + addonDirectory : ''})`);
+        }
+    }
+}
+
+/**
+ * Prints the problems found by the doctor command.
+ * @param {Object} report - The doctor report returned by the installer.
+ */
+function printDoctor(report) {
+    console.log(`Found ${report.problems.length} problem(s) in ${report.world} and the server.`);
+    for (let problem of report.problems) {
+        let status = problem.fixed ? 'fixed' : problem.fixable ? 'fixable' : 'manual';
+        console.log(` - [${status}] ${problem.message}${problem.error ? ' Unable to fix. ' + problem.error : ''}`);
+    }
+    if (!fix && report.problems.some(problem => problem.fixable)) console.log('Run the command again with --fix to repair the fixable problems.');
+}
+
+/**
+ * Prints the resource and behavior pack stacks of a world, highest priority first.
+ * @param {Object} order - The pack order returned by the installer.
+ */
+function printOrder(order) {
+    for (let [title, packs] of [['Resource packs', order.resources], ['Behavior packs', order.behaviors]]) {
+        console.log(`${title} in ${order.world} (highest priority first):`);
+        if (packs.length == 0) console.log('     none');
+        packs.forEach(pack => console.log(` ${pack.position}. ${pack.name || 'unknown'} v${formatVersion(pack.version)}${pack.managed ? ' - managed' : ''}\n     ${pack.uuid}`));
+    }
+}
+
+/**
+ * Prints the changes planned for a world.
+ * @param {Object} plan - The plan returned by the installer.
+ */
+function printPlan(plan) {
+    console.log(`Planned changes for the world ${plan.world} (dry run, nothing will be changed):`);
+    for (let pack of plan.packs) {
+        let version = pack.version ? ' v' + formatVersion(pack.version) : '';
+        if (pack.installedVersion && (pack.action == 'upgraded' || pack.action == 'downgraded')) version = ` v${formatVersion(pack.installedVersion)} -> v${formatVersion(pack.version)}`;
+        console.log(` - [${pack.action}] ${pack.name}${version}${pack.error ? ' - ' + pack.error.replace(/\n/g, '\n     ') : ''}`);
+    }
+    let print = (title, lines) => {
+        if (lines.length == 0) return;
+        console.log(title);
+        lines.forEach(line => console.log('     ' + line));
+    };
+    print('Folders to delete:', plan.folders.delete.map(folder => path.relative(serverPath, folder)));
+    print('Folders to create:', plan.folders.create.map(folder => path.relative(serverPath, folder)));
+    print('JSON changes:', plan.json.map(entry => {
+        let change = entry.change == 'add' ? '+' : '-';
+        return `${change} ${entry.uuid} v${formatVersion(entry.version)} in ${path.relative(serverPath, entry.file)}`;
+    }));
+}
+
+/**
+ * Reads the value of an option from the arguments and removes both from the argument array. 
+ * @param {String} option - The name of the option, including dashes.
+ * @returns {String} The value provided for the option or null.
+ */
+function readOption(option) {
+    let index = args.indexOf(option);
+    if (index == -1) return null;
+    let value = args[index + 1];
+    if (!value || value.startsWith('-')) {
+        console.log(`The ${option} option requires a value.`);
+        console.log(useExample);
+        process.exit(1);
+    }
+    args.splice(index, 2);
+    return value;
+}
+
+/**
+ * Reads a comma separated option from the arguments and removes both from the argument array.
+ * @param {String} option - The name of the option, including dashes.
+ * @returns {String[]} The values provided for the option or null.
+ */
+function readList(option) {
+    let value = readOption(option);
+    return value == null ? null : value.split(',').map(item => item.trim()).filter(item => item);
+}
@@ -1,5 +1,8 @@
-
 import path from 'path';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import {EventEmitter} from 'events';
 import admZip from 'adm-zip';
 import fs from 'fs-extra';
 import Logger from 'chegs-simple-logger';
@@ -13,43 +16,161 @@ log.logDetail = false;
 log.logDebug = false;
 
 
-// Below variables are updated by the constructor.
-// All paths will be converted to full paths by including serverPath at the beginning.
-let serverPath = null;
-let worldName = null;
+// The locations of the server files, relative to the server path.
+const serverFiles = {
+    addons: 'BDS-Addons/',
+    ledger: 'BDS-Addons/.installer-state.json',
+    snapshots: 'BDS-Addons/.snapshots/',
+    staging: 'BDS-Addons/.cache/',
+    downloads: 'BDS-Addons/.downloads/',
+    config: 'bds-addons.json',
+    lockfile: 'bds-addons.lock.json',
+    packIndex: 'BDS-Addons/.pack-index.json',
+    serverLock: '.bds-addon-installer.lock',
+    packsJson: 'valid_known_packs.json',
+    resourcesDir: 'resource_packs/',
+    behaviorsDir: 'behavior_packs/',
+    configDir: 'config/',
+    properties: 'server.properties',
+    worldsDir: 'worlds/'
+};
+
+// The locations of the world files, relative to the server path. <worldname> is replaced by the active world.
+const worldFiles = {
+    resourcesJson: 'worlds/<worldname>/world_resource_packs.json',
+    behaviorsJson: 'worlds/<worldname>/world_behavior_packs.json',
+    resourcesDir: 'worlds/<worldname>/resource_packs/',
+    behaviorsDir: 'worlds/<worldname>/behavior_packs/',
+    levelDat: 'worlds/<worldname>/level.dat'
+};
+
+// The NBT tag types used by level.dat.
+const nbtTypes = {end: 0, byte: 1, short: 2, int: 3, long: 4, float: 5, double: 6, byteArray: 7, string: 8, list: 9, compound: 10, intArray: 11, longArray: 12};
+
+// The experiment toggles found in the experiments tag of level.dat, with the name shown by the game.
+const experimentNames = {
+    gametest: 'Beta APIs',
+    data_driven_items: 'Holiday Creator Features',
+    upcoming_creator_features: 'Upcoming Creator Features',
+    experimental_molang_features: 'Experimental Molang Features',
+    cameras: 'Experimental Cameras',
+    data_driven_biomes: 'Custom Biomes',
+    villager_trades_rebalance: 'Villager Trade Rebalancing'
+};
 
-let addonPath = 'BDS-Addons/';
+// The server.properties settings related to packs and the values each one accepts. Settings with no list accept any text.
+const packProperties = {
+    'level-name': null,
+    'texturepack-required': ['true', 'false'],
+    'content-log-file-enabled': ['true', 'false'],
+    'content-log-console-output-enabled': ['true', 'false'],
+    'content-log-level': ['verbose', 'info', 'warning', 'error'],
+    'allow-outbound-script-debugging': ['true', 'false'],
+    'allow-inbound-script-debugging': ['true', 'false'],
+    'script-debugger-auto-attach': ['disabled', 'connect', 'listen']
+};
 
-let serverPacksJsonPath = 'valid_known_packs.json';
-let serverPacksJSON = null;
-let serverResourcesDir = 'resource_packs/';
-let serverBehaviorsDir = 'behavior_packs/';
+// Tags in the experiments tag of level.dat that record experiment use rather than toggling an experiment.
+const experimentFlags = ['experiments_ever_used', 'saved_with_toggled_experiments'];
 
-let worldResourcesJsonPath = 'worlds/<worldname>/world_resource_packs.json';
-let worldResourcesJSON = null;
-let worldBehaviorsJsonPath = 'worlds/<worldname>/world_behavior_packs.json';
-let worldBehaviorsJSON = null;
-let worldResourcesDir = 'worlds/<worldname>/resource_packs/';
-let worldBehaviorsDir = 'worlds/<worldname>/behavior_packs/';
+// The installers in this process holding a server lock, by instance id. Shared by every installer,
+// so a lock left by an installer that stopped can be told apart from the lock of an installer that is still running.
+const heldLocks = new Set();
 
-// Below variables updated by mapInstalledPacks function.
-// Updated to contain installed pack info {name, uuid, version, location}
-let installedServerResources = new Map();
-let installedServerBehaviors = new Map();
-let installedWorldResources = new Map();
-let installedWorldBehaviors = new Map();
+// The milliseconds between attempts to take a server lock held by another installer.
+const lockRetryInterval = 100;
+
+// Set in the options by create(), which reads the server without blocking once the constructor has finished.
+const asyncLoading = Symbol('asyncLoading');
 
 // These files will be validated to confirm the provided serverPath is accurate.
 const requiredFiles = ['behavior_packs', 'resource_packs', 'valid_known_packs.json'];
 
-export default class BDSAddonInstaller {
+// The version of the manifest index saved in BDS-Addons/.pack-index.json. Indexes from other versions are rebuilt.
+const packIndexVersion = 1;
+
+// The file names used for pack manifests.
+const manifestFiles = ['manifest.json', 'pack_manifest.json'];
+
+// The extensions of archives that may hold packs. Packs are detected by their contents, these are only used for naming.
+const archivePattern = /\.(mcpack|mcaddon|mctemplate|zip)$/i;
+
+// Older versions of the installer extracted addons to this folder inside of BDS-Addons.
+const legacyStagingFolder = 'tmp';
+
+// The module types found in pack manifests and the type of pack each module belongs to.
+// Packs are classified using all of their modules, script modules are part of behavior packs.
+const moduleTypes = {
+    resources: 'resources',
+    interface: 'resources',
+    data: 'data',
+    client_data: 'data',
+    script: 'data',
+    javascript: 'data',
+    world_template: 'world_template',
+    skin_pack: 'skin_pack'
+};
+
+// Pack types that are not installed to the server, with the reason they are skipped.
+const unsupportedPackTypes = {
+    world_template: 'World templates create new worlds rather than adding to one. Extract the template into the worlds folder and set level-name in server.properties to use it.',
+    skin_pack: 'Skin packs are loaded by each player\'s game and cannot be installed to a dedicated server.'
+};
+
+// Resource pack files the game combines from every pack rather than using the copy with the highest priority.
+// Language files are combined as well, so the texts folder is never a conflict.
+const mergedPackFiles = ['manifest.json', 'pack_manifest.json', 'pack_icon.png', 'contents.json', 'signatures.json', 'blocks.json', 'sounds.json', 'biomes_client.json', 'splashes.json',
+    'textures/terrain_texture.json', 'textures/item_texture.json', 'textures/flipbook_textures.json', 'textures/textures_list.json',
+    'sounds/sound_definitions.json', 'sounds/music_definitions.json', 'ui/_ui_defs.json', 'ui/_global_variables.json'];
+
+// The top level keys of behavior pack files that define an identifier, and the type of conflict reported for each.
+// Recipes use a key for each kind of recipe, such as minecraft:recipe_shaped, so they are matched by prefix.
+const identifierTypes = {'minecraft:entity': 'entity', 'minecraft:item': 'item', 'minecraft:block': 'block'};
+
+// Script modules allowed by BDS when config/default/permissions.json does not exist.
+const defaultAllowedModules = ['@minecraft/server', '@minecraft/server-ui', '@minecraft/server-admin', '@minecraft/server-gametest', '@minecraft/server-editor'];
+
+// The format of the uuids used by pack manifests.
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Script modules provided by the game. Dependencies on these are not packs and do not need to be installed.
+// Older manifests reference the modules by uuid instead of module_name.
+const scriptModuleIds = [
+    'b26a4d4c-afdf-4690-88f8-931846312678', // mojang-minecraft
+    '6f4b6893-1bb6-42fd-b458-7fa3d0c89616', // mojang-gametest
+    '2bd50a27-ab5f-4f40-a596-3641627c635e', // mojang-minecraft-ui
+    '53d7f2bf-bf9c-49c4-ad1f-7c803d947920', // mojang-minecraft-server-admin
+    '777b1798-13a6-401c-9cba-0cf17e31a81b'  // mojang-net
+];
+
+// The event emitted for each install action.
+const packEvents = {
+    new: 'pack:installed',
+    reinstalled: 'pack:installed',
+    upgraded: 'pack:upgraded',
+    downgraded: 'pack:upgraded',
+    unchanged: 'pack:skipped',
+    skipped: 'pack:skipped',
+    failed: 'pack:failed',
+    removed: 'pack:removed'
+};
+
+/**
+ * Installs addons for a Bedrock Dedicated Server.
+ * Emits pack:start, pack:installed, pack:upgraded, pack:skipped, pack:failed and pack:removed with a PackResult for each pack,
+ * and extract:progress with an ExtractProgress while packs are staged.
+ */
+export default class BDSAddonInstaller extends EventEmitter {
 
     /**
      * Prepares to install addons for the provided Bedrock Dedicated Server.
      * @param {String} providedServerPath - The path to the root directory of the Bedrock Dedicated Server. 
      * @param {Boolean} verboseMode - Optional parameter for enabling additional logging. 
+     * @param {InstallerOptions} options - Optional parameter for additional installer options.
      */
-    constructor(providedServerPath, verboseMode) {
+    constructor(providedServerPath, verboseMode, options = {}) {
+        super();
+
         // If verboseMode update logging
         if (verboseMode) {
             log.logDetail = true;
@@ -64,129 +185,843 @@ export default class BDSAddonInstaller {
             if (!fs.existsSync(filePath)) throw new Error('Unable to find server files in provided path.\n' + filePath);
         });
 
-        // Update all module paths from relative to full paths.
-        serverPath = providedServerPath;
-        addonPath = path.join(providedServerPath, addonPath);
-        worldName = readWorldName();
-        worldResourcesJsonPath = path.join(serverPath, worldResourcesJsonPath.replace('<worldname>', worldName));
-        worldBehaviorsJsonPath = path.join(serverPath, worldBehaviorsJsonPath.replace('<worldname>', worldName));
-        worldResourcesDir = path.join(serverPath, worldResourcesDir.replace('<worldname>', worldName));
-        worldBehaviorsDir = path.join(serverPath, worldBehaviorsDir.replace('<worldname>', worldName));
-        serverPacksJsonPath = path.join(serverPath, serverPacksJsonPath);
-        serverResourcesDir = path.join(serverPath, serverResourcesDir);
-        serverBehaviorsDir = path.join(serverPath, serverBehaviorsDir); 
-
-        // Create JSON files if they do not exists
-        fs.ensureFileSync(serverPacksJsonPath);
-        fs.ensureFileSync(worldResourcesJsonPath);
-        fs.ensureFileSync(worldBehaviorsJsonPath);
-        
-        // Read installed packs from JSON files & attempt to parse content.
-        let serverPackContents = fs.readFileSync(serverPacksJsonPath);
-        let worldResourceContents = fs.readFileSync(worldResourcesJsonPath);
-        let worldBehaviorContents = fs.readFileSync(worldBehaviorsJsonPath);
-        // If there is an error parsing JSON assume no packs installed and use empty array.
-        try { serverPacksJSON = JSON.parse(serverPackContents) } catch(err) { serverPacksJSON = [] };
-        try { worldResourcesJSON = JSON.parse(worldResourceContents) } catch(err) { worldResourcesJSON = [] };
-        try { worldBehaviorsJSON = JSON.parse(worldBehaviorContents) } catch(err) { worldBehaviorsJSON = [] };
-        // If unexpected results from parsing JSON assume no packs installed and use empty array.
-        if (!Array.isArray(serverPacksJSON)) serverPacksJSON = [];
-        if (!Array.isArray(worldResourcesJSON)) worldResourcesJSON = [];
-        if (!Array.isArray(worldBehaviorsJSON)) worldBehaviorsJSON = [];
-
-        // Map installed packs from install directories
-        installedServerResources = mapInstalledPacks(serverResourcesDir);
-        installedServerBehaviors = mapInstalledPacks(serverBehaviorsDir);
-        installedWorldResources = mapInstalledPacks(worldResourcesDir);
-        installedWorldBehaviors = mapInstalledPacks(worldBehaviorsDir);
+        // The state of the server is kept on the installer, so one process can manage several servers.
+        // All paths are full paths, including the server path at the beginning.
+        this.serverPath = providedServerPath;
+        this.worldName = null;
+        this.addonPath = path.join(providedServerPath, serverFiles.addons);
+        this.ledgerPath = path.join(providedServerPath, serverFiles.ledger);
+        this.snapshotsPath = path.join(providedServerPath, serverFiles.snapshots);
+        this.stagingPath = path.join(providedServerPath, serverFiles.staging);
+        this.downloadsPath = path.join(providedServerPath, serverFiles.downloads);
+        this.configPath = path.join(providedServerPath, serverFiles.config);
+        this.lockfilePath = path.join(providedServerPath, serverFiles.lockfile);
+        this.packIndexPath = path.join(providedServerPath, serverFiles.packIndex);
+        this.serverLockPath = path.join(providedServerPath, serverFiles.serverLock);
+        this.serverPacksJsonPath = path.join(providedServerPath, serverFiles.packsJson);
+        this.serverResourcesDir = path.join(providedServerPath, serverFiles.resourcesDir);
+        this.serverBehaviorsDir = path.join(providedServerPath, serverFiles.behaviorsDir);
+        this.serverConfigDir = path.join(providedServerPath, serverFiles.configDir);
+        this.serverPropertiesPath = path.join(providedServerPath, serverFiles.properties);
+        this.worldsDir = path.join(providedServerPath, serverFiles.worldsDir);
+
+        // Below settings are updated by the provided options.
+        this.snapshotRetention = options.snapshotRetention != undefined ? options.snapshotRetention : 10;
+        this.strictMode = Boolean(options.strict);
+        this.downloadRetries = options.downloadRetries != undefined ? options.downloadRetries : 2;
+        this.downloadTimeout = options.downloadTimeout != undefined ? options.downloadTimeout : 30000;
+        this.lockTimeout = options.lockTimeout != undefined ? options.lockTimeout : 30000;
+        this.autoExperiments = options.experiments !== false;
+        this.requireTexturepack = Boolean(options.texturepackRequired);
+        this.conflictCheck = Boolean(options.checkConflicts);
+        this.downgradePolicy = 'refuse';
+        if (options.downgrade) {
+            if (!['allow', 'warn', 'refuse'].includes(options.downgrade)) throw new Error('Unknown downgrade option, ' + options.downgrade);
+            this.downgradePolicy = options.downgrade;
+        }
+
+        // New packs are inserted at the top of each pack stack unless the option or bds-addons.json chooses otherwise.
+        this.insertPriority = 'top';
+        let priority = options.priority || (fs.existsSync(this.configPath) ? readPackConfig(this).priority : null);
+        if (priority) {
+            if (!['top', 'bottom'].includes(priority)) throw new Error('Unknown priority option, ' + priority);
+            this.insertPriority = priority;
+        }
+
+        // Below variables are updated by the loadServer & loadWorld functions when the active world changes.
+        this.serverPacksJSON = null;
+        this.worldResourcesJsonPath = null;
+        this.worldResourcesJSON = null;
+        this.worldBehaviorsJsonPath = null;
+        this.worldBehaviorsJSON = null;
+        this.worldResourcesDir = null;
+        this.worldBehaviorsDir = null;
+        this.levelDatPath = null;
+
+        // Below variables updated by mapInstalledPacks function, through the installed pack getters.
+        // Updated to contain installed pack info {name, uuid, version, location}. Each map is null until it is first used.
+        this.packMaps = {serverResources: null, serverBehaviors: null, worldResources: null, worldBehaviors: null};
+
+        // Below variable updated by the loadPackIndex & readPackFolders functions.
+        // Contains the PackIndex of the manifests read from installed pack folders, so unchanged folders are not read again.
+        this.packIndex = null;
+
+        // Below variable updated by the installPackFiles function.
+        // Contains the manifest of each pack waiting to be installed in the current batch with the uuid as the key.
+        this.pendingPacks = new Map();
+
+        // Below variable updated by the stagePacks function.
+        // Contains the source file name and source entry of each staged pack with the staged pack path as the key.
+        this.stagedPacks = new Map();
+
+        // Below variable updated by the transaction function.
+        // Contains the Snapshot of the run in progress, used to restore the server if the run fails.
+        this.activeSnapshot = null;
+
+        // Below variable updated by the readPackJSON function.
+        // Contains the reason each pack JSON file could not be parsed with the file path as the key. These files are never overwritten.
+        this.corruptFiles = new Map();
+
+        // Below variable updated by the readLedger function.
+        // Contains a LedgerRecord for each pack installed by BDSAddonInstaller with the uuid as the key.
+        this.ledger = new Map();
+
+        // Below variable updated by the readLedger & enqueue functions.
+        // True until the ledger is saved, while installed packs that match a pack being installed may be adopted.
+        this.adoptPacks = false;
+
+        // Below variable updated by the enqueue function.
+        // Calls that change the server wait for the calls before them to finish, so they never change the pack JSON files at the same time.
+        this.queue = Promise.resolve();
+        this.pendingTasks = 0;
+
+        // Identifies the server lock of this installer, so installers in the same process can share a server.
+        this.instanceId = crypto.randomUUID();
+
+        // Installers made by create() only find the world here, the server is read without blocking once the constructor has finished.
+        if (options[asyncLoading]) {
+            if (options.world) checkWorld(this, options.world);
+            setWorldPaths(this, options.world || readWorldName(this));
+            return;
+        }
+
+        // Read the server pack JSON & installed server packs.
+        loadServer(this);
+
+        // Load the requested world, or the world from server.properties, and its installed packs.
+        if (options.world) {
+            this.setWorld(options.world);
+        } else {
+            loadWorld(this, readWorldName(this));
+        }
+
+        // Read the packs owned by the installer.
+        this.ledger = readLedger(this);
+        this.serverStamp = readServerStamp(this);
+    }
+
+    /**
+     * Prepares to install addons for the provided Bedrock Dedicated Server, reading the server without blocking.
+     * @param {String} providedServerPath - The path to the root directory of the Bedrock Dedicated Server. 
+     * @param {Boolean} verboseMode - Optional parameter for enabling additional logging. 
+     * @param {InstallerOptions} options - Optional parameter for additional installer options.
+     * @returns {BDSAddonInstaller} The new installer.
+     * NOTE: Only the installed pack folders that changed since the manifest index was saved are read.
+     */
+    static async create(providedServerPath, verboseMode, options = {}) {
+        let installer = new BDSAddonInstaller(providedServerPath, verboseMode, Object.assign({}, options, {[asyncLoading]: true}));
+        installer.packIndex = await loadPackIndex(installer);
+        await reloadServer(installer);
+        installer.serverStamp = await loadServerStamp(installer);
+        return installer;
+    }
+
+    // Installers made with the constructor map the installed packs of each type the first time they are used.
+    get installedServerResources() { return getInstalledPacks(this, 'serverResources', this.serverResourcesDir) }
+    set installedServerResources(packs) { this.packMaps.serverResources = packs }
+    get installedServerBehaviors() { return getInstalledPacks(this, 'serverBehaviors', this.serverBehaviorsDir) }
+    set installedServerBehaviors(packs) { this.packMaps.serverBehaviors = packs }
+    get installedWorldResources() { return getInstalledPacks(this, 'worldResources', this.worldResourcesDir) }
+    set installedWorldResources(packs) { this.packMaps.worldResources = packs }
+    get installedWorldBehaviors() { return getInstalledPacks(this, 'worldBehaviors', this.worldBehaviorsDir) }
+    set installedWorldBehaviors(packs) { this.packMaps.worldBehaviors = packs }
+
+    /**
+     * Changes the world that packs are installed to, uninstalled from and listed for.
+     * @param {String} name - The name of a world folder in the worlds directory.
+     */
+    setWorld(name) {
+        if (this.pendingTasks > 0) throw new Error('Unable to change the world while packs are being changed. Wait for the running calls to finish.');
+        checkWorld(this, name);
+        loadWorld(this, name);
+
+        // The stamp holds the pack JSON files of the previous world, so the server is read again before it is next changed.
+        this.serverStamp = null;
+    }
+
+    /**
+     * Lists the worlds found in the servers worlds directory.
+     * @returns {String[]} The names of each world folder.
+     */
+    listWorlds() {
+        if (!fs.existsSync(this.worldsDir)) return [];
+        return fs.readdirSync(this.worldsDir).filter(world => fs.statSync(path.join(this.worldsDir, world)).isDirectory());
     }
 
     /**
      * Installs the provide addon/pack to the BDS server and the active world. 
-     * @param {String} packPath - The full path to the mcpack or mcaddon file. 
+     * @param {String} packPath - The full path to the pack or addon archive, an unpacked pack folder, or an http(s) URL to download. 
+     * @param {Object} options - Optional parameter with the sha256 hash the pack file must match {sha256: String}.
+     * @returns {InstallSummary} The action taken for each pack. Packs that fail are listed with their error rather than thrown.
+     * NOTE: Packs are detected by their contents, so .zip files and folders with the manifest.json in a subfolder are supported.
      */
-    async installAddon(packPath) {
-
-        // Validate provided pack (pack exists & is the correct file type)
-        if (!await fs.exists(packPath)) throw new Error('Unable to install pack. The provided path does not exist. ' + packPath);
-        if (!packPath.endsWith('.mcpack') && !packPath.endsWith('.mcaddon')) throw new Error('Unable to install pack. The provided file is not an addon or pack. ' + packPath);
-        if (packPath.endsWith('.mcaddon')) {
-            // If the provided pack is an addon extract packs and execute this function again for each one. 
-            let packs = await extractAddonPacks(packPath);
-            for (const pack of packs) await this.installAddon(pack);
-            return;
+    async installAddon(packPath, options = {}) {
+        return enqueue(this, async () => {
+            let summary = {packs: [], rolledBack: false};
+            if (this.conflictCheck && !isRemoteSource(packPath)) checkConflicts(this, [packPath], summary);
+            await runInstall(this, summary, packPath, async () => {
+                // Downloads are cached in BDS-Addons/.downloads/ and verified before anything is extracted.
+                let location = isRemoteSource(packPath) ? await downloadSource(this, packPath, options.sha256) : packPath;
+                if (options.sha256 && !isRemoteSource(packPath)) await verifyChecksum(location, options.sha256);
+                return installSource(this, location, summary);
+            });
+            return summary;
+        });
+    }
+
+    /**
+     * Validates the manifest and contents of a pack or addon without installing it.
+     * @param {String} packPath - The path to the pack, addon or pack folder, or its name in the BDS-Addons directory.
+     * @returns {ValidationResult[]} The errors and warnings found for each pack in the file.
+     */
+    async validatePack(packPath) {
+        let packFile = await resolvePackFile(this, packPath);
+        if (!packFile) throw new Error('Unable to validate pack. The provided file is not an addon or pack. ' + packPath);
+        return validateFile(packFile);
+    }
+
+    /**
+     * Validates every addon & pack found within the BDS-Addons directory.
+     * Packs that share a uuid with another pack in the directory are given a warning.
+     * @returns {ValidationResult[]} The errors and warnings found for each pack.
+     */
+    async validateAllAddons() {
+        let files = await fs.pathExists(this.addonPath) ? await fs.readdir(this.addonPath) : [];
+        let results = [];
+        for (let file of files) {
+            if (file.startsWith('.')) continue;
+            let location = path.join(this.addonPath, file);
+            // Files that are not archives, such as notes left by the user, are not packs.
+            if (!archivePattern.test(file) && !(await fs.stat(location)).isDirectory()) continue;
+            results = results.concat(validateFile(location));
         }
-        
-        // Gather pack details from the manifest.json file
-        let manifest = await extractPackManifest(packPath);
-        let name = manifest.header.name.replace(/\W/g, '');
-        let uuid = manifest.header.uuid;
-        let version = manifest.header.version;
-        if (!version) version = manifest.header.modules[0].version;
-        let type;
-        if (manifest.modules) {
-            type = manifest.modules[0].type.toLowerCase();
-        } else if (manifest.header.modules) {
-            type = manifest.header.modules[0].type.toLowerCase();
-        }else {
-            throw new Error('Unable to install pack. Unknown pack manifest format.\n' + packPath);
-        }
-
-        log.general('BDSAddonInstaller - Installing ' + name + '...');
-
-        // Check if already installed
-        let installedWorldPack, installedServerPack = null;
-        if (type == 'resources') {
-            installedWorldPack = installedWorldResources.get(uuid);
-            installedServerPack = installedServerResources.get(uuid);
-        }else if (type == 'data') {
-            installedWorldPack = installedWorldBehaviors.get(uuid);
-            installedServerPack = installedServerBehaviors.get(uuid)
-        }
-
-        // Check if current installed packs are up to date
-        if (installedWorldPack || installedServerPack) {
-            let upToDate = true;
-            if (installedWorldPack && installedWorldPack.version.toString() != version.toString()) upToDate = false;
-            if (installedServerPack && installedServerPack.version.toString() != version.toString()) upToDate = false;
-            if (upToDate) {
-                log.general(`BDSAddonInstaller - The ${name} pack is already installed and up to date.`);
-                return;
-            }else{
-                // uninstall pack if not up to date
-                log.detail('BDSAddonInstaller - Uninstalling old version of pack');
-                if (installedServerPack) await uninstallServerPack(uuid, installedServerPack.location);
-                if (installedWorldPack && type == 'resources') await uninstallWorldResource(uuid, installedWorldPack.location);
-                if (installedWorldPack && type == 'data') await uninstallWorldBehavior(uuid, installedWorldPack.location);
+
+        // Check for packs that share a uuid with another pack.
+        let resultsByUuid = new Map();
+        for (let result of results) {
+            if (!result.uuid) continue;
+            if (!resultsByUuid.has(result.uuid)) resultsByUuid.set(result.uuid, []);
+            resultsByUuid.get(result.uuid).push(result);
+        }
+        for (let [uuid, matches] of resultsByUuid) {
+            if (matches.length < 2) continue;
+            for (let result of matches) {
+                let others = matches.filter(match => match != result).map(match => path.basename(match.file));
+                result.warnings.push(`The uuid ${uuid} is also used by ${others.join(', ')}. Only the newest version will be installed.`);
             }
         }
+        return results;
+    }
+
+    /**
+     * Plans the changes that installAllAddons would make to the active world and server without writing anything.
+     * Addons and pack folders are inspected in place rather than being staged.
+     * @param {Boolean} removeOldPacks - Plan for uninstalling all currently installed packs first?
+     * @returns {InstallPlan} The planned actions for each pack and the folders & JSON entries that would change.
+     */
+    async plan(removeOldPacks) {
+        return enqueue(this, async () => {
+            let results = {world: this.worldName, packs: [], folders: {create: [], delete: []}, json: []};
+
+            // Copy the installed state so it can be updated as each action is planned.
+            let worldPacks = new Map([...this.installedWorldResources, ...this.installedWorldBehaviors]);
+            let serverPacks = new Map([...this.installedServerResources, ...this.installedServerBehaviors]);
+            let records = new Map(Array.from(this.ledger, ([uuid, record]) => [uuid, Object.assign({}, record, {worlds: Object.assign({}, record.worlds)})]));
+            let worldJsonPath = type => type == 'data' ? this.worldBehaviorsJsonPath : this.worldResourcesJsonPath;
+            let removeWorldCopy = (pack, type) => {
+                results.folders.delete.push(pack.location);
+                results.json.push({file: worldJsonPath(type), change: 'remove', uuid: pack.uuid, version: pack.version});
+                worldPacks.delete(pack.uuid);
+            };
+            let removeServerCopy = pack => {
+                results.folders.delete.push(pack.location);
+                results.json.push({file: this.serverPacksJsonPath, change: 'remove', uuid: pack.uuid, version: formatVersion(pack.version)});
+                serverPacks.delete(pack.uuid);
+            };
+
+            // Plan the removal of the packs owned by the installer.
+            if (removeOldPacks) {
+                for (let record of Array.from(records.values())) {
+                    if (!record.worlds[this.worldName] && Object.keys(record.worlds).length > 0) continue;
+                    let worldPack = worldPacks.get(record.uuid);
+                    if (worldPack) removeWorldCopy(worldPack, record.type);
+                    delete record.worlds[this.worldName];
+                    let serverPack = serverPacks.get(record.uuid);
+                    if (Object.keys(record.worlds).length == 0 && serverPack) removeServerCopy(serverPack);
+                    if (Object.keys(record.worlds).length == 0) records.delete(record.uuid);
+                    results.packs.push({name: record.name, uuid: record.uuid, version: record.version, installedVersion: record.version, type: record.type, source: null, action: 'removed', error: null});
+                }
+            }
+
+            // Read the packs in BDS-Addons, inspecting addons and folders in place.
+            // The sources listed in bds-addons.json are only read from the download cache, sources that are not cached would be downloaded.
+            let packs = [];
+            let files = await fs.pathExists(this.addonPath) ? await fs.readdir(this.addonPath) : [];
+            let locations = files.filter(file => !file.startsWith('.') && file != legacyStagingFolder).map(file => path.join(this.addonPath, file));
+            let downloads = {packs: []};
+            locations = locations.concat(await downloadConfigSources(this, downloads, true));
+            downloads.packs.forEach(pack => results.packs.push({name: pack.name, uuid: null, version: null, installedVersion: null, type: null, source: pack.file, action: pack.action, error: pack.error}));
+            for (let location of locations) {
+                let file = path.basename(location);
+                try {
+                    checkPackFile(this, location, true);
+                    if (getSourceType(location) != 'pack') {
+                        packs = packs.concat(inspectPackSource(location));
+                    } else {
+                        packs.push({file: location, manifest: extractPackManifest(location), hash: await hashFile(location)});
+                    }
+                } catch (err) {
+                    results.packs.push({name: file, uuid: null, version: null, installedVersion: null, type: null, source: location, action: 'failed', error: err.message});
+                }
+            }
+
+            // When a pack is found more than once only the newest version is installed.
+            let {newest, duplicates} = selectNewestPacks(packs);
+            for (let pack of duplicates) {
+                let manifest = pack.manifest;
+                let version = getManifestVersion(manifest);
+                results.packs.push({name: manifest.header.name, uuid: manifest.header.uuid, version, installedVersion: null, type: null, source: pack.file, action: 'skipped', error: 'A newer copy of the pack was found.'});
+            }
+            packs = newest;
+
+            // Plan the action for each pack in the order they would be installed.
+            let failed = new Set();
+            for (let pack of sortByDependencies(this, packs, worldPacks)) {
+                let manifest = pack.manifest;
+                let uuid = manifest.header.uuid;
+                let result = {name: manifest.header.name, uuid, version: getManifestVersion(manifest), installedVersion: null, type: null, source: pack.file, action: null, error: null};
+                results.packs.push(result);
+                try {
+                    result.type = getPackType(manifest, pack.file);
+                    if (pack.error) throw pack.error;
+                    let failedDependency = getDependencies(manifest).find(dependency => failed.has(dependency.uuid));
+                    if (failedDependency) throw new Error(`The dependency ${failedDependency.uuid} would fail to install.`);
+                } catch (err) {
+                    failed.add(uuid);
+                    result.action = 'failed';
+                    result.error = err.message;
+                    continue;
+                }
+                if (unsupportedPackTypes[result.type]) {
+                    result.action = 'skipped';
+                    result.error = unsupportedPackTypes[result.type];
+                    continue;
+                }
+
+                // Plan the changes using the same decision as installAddon.
+                let worldPack = worldPacks.get(uuid);
+                let serverPack = serverPacks.get(uuid);
+                let record = records.get(uuid) || adoptPack(this, manifest, pack.file, worldPack, serverPack);
+                let decision = decideInstall(this, manifest, pack.hash, worldPack, serverPack, record);
+                result.action = decision.action;
+                result.installedVersion = worldPack ? worldPack.version : serverPack ? serverPack.version : null;
+                if (decision.action == 'skipped') result.error = decision.reason;
+                if (decision.action == 'skipped' || decision.action == 'unchanged') continue;
+
+                let name = manifest.header.name.replace(/\W/g, '');
+                let packData = {name: manifest.header.name, uuid, version: result.version, dependencies: manifest.dependencies || []};
+                if (decision.world) {
+                    if (worldPack) removeWorldCopy(worldPack, result.type);
+                    let location = path.join(result.type == 'data' ? this.worldBehaviorsDir : this.worldResourcesDir, name);
+                    results.folders.create.push(location);
+                    results.json.push({file: worldJsonPath(result.type), change: 'add', uuid, version: result.version});
+                    worldPacks.set(uuid, Object.assign({location}, packData));
+                }
+                if (decision.server) {
+                    if (serverPack) removeServerCopy(serverPack);
+                    let location = path.join(result.type == 'data' ? this.serverBehaviorsDir : this.serverResourcesDir, name);
+                    results.folders.create.push(location);
+                    results.json.push({file: this.serverPacksJsonPath, change: 'add', uuid, version: formatVersion(result.version)});
+                    serverPacks.set(uuid, Object.assign({location}, packData));
+                }
+                let config = getScriptConfig(this, manifest);
+                if (config && !fs.existsSync(config.folder)) results.folders.create.push(config.folder);
+                record = record || {uuid, type: result.type, worlds: {}};
+                record.worlds[this.worldName] = {folder: null, hash: pack.hash};
+                if (decision.server) record.hash = pack.hash;
+                records.set(uuid, record);
+            }
+            return results;
+        });
+    }
+
+    /**
+     * Uninstalls a single pack from the BDS server and the active world.
+     * @param {String} idOrName - The uuid or manifest name of an installed pack, or the pack, addon or folder it was installed from.
+     * @param {Boolean} force - Optional parameter to uninstall the pack even if other installed packs depend on it.
+     * NOTE: When an addon or folder is provided every pack bundled inside of it will be uninstalled.
+     */
+    async uninstallAddon(idOrName, force) {
+        // Run inside of a transaction so the server can be restored if the uninstall fails.
+        return enqueue(this, () => transaction(this, async () => {
+            if (!idOrName) throw new Error('Unable to uninstall pack. No pack was provided.');
+
+            // Collect the uuids of the packs to uninstall from either the pack file or the installed packs.
+            let uuids = [];
+            let packFile = await resolvePackFile(this, idOrName);
+            if (packFile) {
+                let manifests = getSourceType(packFile) != 'pack' ? inspectPackSource(packFile).map(pack => pack.manifest) : [extractPackManifest(packFile)];
+                uuids = manifests.map(manifest => manifest.header.uuid);
+            } else {
+                // Packs from a file that has since been removed are found by the source recorded in the ledger.
+                let records = Array.from(this.ledger.values());
+                let matches = records.filter(record => record.source && record.source == path.basename(idOrName));
+                if (matches.length == 0) matches = records.filter(record => packMatches(record, idOrName)).slice(0, 1);
+                uuids = matches.map(record => record.uuid);
+                let installedPack = findInstalledPack(this, idOrName);
+                if (matches.length == 0 && installedPack) throw new Error('Unable to uninstall pack. The pack was not installed by BDSAddonInstaller. ' + idOrName);
+            }
+            if (uuids.length == 0) throw notInstalledError('Unable to uninstall pack. No installed pack matches ' + idOrName);
+
+            // Refuse to break packs that depend on the packs being uninstalled.
+            let dependents = findDependents(this, uuids);
+            if (dependents.length > 0 && !force) {
+                throw new Error(`Unable to uninstall pack. It is required by ${dependents.join(', ')}. Use force to uninstall it anyway.`);
+            }
+
+            // Uninstall each of the packs from the world and server.
+            let removed = 0;
+            for (let uuid of uuids) {
+                if (await uninstallPack(this, uuid)) {
+                    removed++;
+                } else {
+                    log.warning(`BDSAddonInstaller - The pack ${uuid} from ${idOrName} was not installed by BDSAddonInstaller.`);
+                }
+            }
+            if (removed == 0) throw notInstalledError('Unable to uninstall pack. No installed pack matches ' + idOrName);
+
+            // Reload the installed packs after uninstall.
+            await mapAllInstalledPacks(this);
+            log.general(`BDSAddonInstaller - Successfully uninstalled ${removed} pack(s) matching ${idOrName}.`);
+        }));
+    }
+
+    /**
+     * Lists every pack installed to the active world or the BDS server.
+     * @returns {PackStatus[]} The details and install status of each installed pack.
+     */
+    listPacks() {
+        let results = new Map();
 
-        await installPack(packPath, manifest);
-        log.general('BDSAddonInstaller - Successfully installed the ' + name + ' pack.');
+        // Collect the world and server copies of each pack by uuid.
+        let installedPacks = [
+            {packs: this.installedWorldResources, type: 'resources', copy: 'worldFolder'},
+            {packs: this.installedWorldBehaviors, type: 'data', copy: 'worldFolder'},
+            {packs: this.installedServerResources, type: 'resources', copy: 'serverFolder'},
+            {packs: this.installedServerBehaviors, type: 'data', copy: 'serverFolder'}
+        ];
+        for (let {packs, type, copy} of installedPacks) {
+            for (let pack of packs.values()) {
+                let result = results.get(pack.uuid);
+                if (!result) {
+                    result = {name: pack.name, uuid: pack.uuid, version: pack.version, type, world: this.worldName, worldFolder: null, serverFolder: null};
+                    results.set(pack.uuid, result);
+                }
+                result[copy] = pack.location;
+            }
+        }
 
+        // Check which of the pack JSON files reference each pack.
+        for (let result of results.values()) {
+            let worldPacksJSON = result.type == 'resources' ? this.worldResourcesJSON : this.worldBehaviorsJSON;
+            result.inWorldJSON = findIndexOf(worldPacksJSON, 'pack_id', result.uuid) != -1;
+            result.inServerJSON = findIndexOf(this.serverPacksJSON, 'uuid', result.uuid) != -1;
+            result.status = result.inWorldJSON && result.inServerJSON ? 'both' : result.inWorldJSON ? 'world' : result.inServerJSON ? 'server' : 'none';
+            result.managed = this.ledger.has(result.uuid);
+            result.source = result.managed ? this.ledger.get(result.uuid).source : null;
+            let recordWorld = result.managed ? this.ledger.get(result.uuid).worlds[this.worldName] : null;
+            result.disabled = Boolean(recordWorld && recordWorld.disabled);
+        }
+        return Array.from(results.values());
     }
 
     /**
      * Installs all of the addons & packs found within the BDS-Addons directory.
      * @param {Boolean} removeOldPacks - Remove all currently installed packs?
      * NOTE: Running this function with remove packs is only recommended if facing issues.
+     * @returns {InstallSummary} The action taken for each pack. Packs that fail are listed with their error rather than thrown.
+     * NOTE: If a pack fails after changes were made to the server, all changes from this run are restored.
      */
     async installAllAddons(removeOldPacks) {
-        // If chosen, uninstall all world packs.
-        if (removeOldPacks) await uninstallAllWorldPacks();
+        return enqueue(this, async () => {
+            let summary = {packs: [], rolledBack: false};
+            if (this.conflictCheck) checkConflicts(this, listAddonSources(this), summary);
+            await runInstall(this, summary, this.addonPath, () => installAllSources(this, removeOldPacks, summary));
+            return summary;
+        });
+    }
 
-        // Read all packs & addons from BDS-Addon directory.
-        let packs = await fs.readdir(addonPath);
+    /**
+     * Watches the BDS-Addons directory, installing packs to the active world as they are added or changed.
+     * When a pack is deleted from the directory it is uninstalled, as long as it was installed by BDSAddonInstaller.
+     * @param {Number} settleTime - Optional parameter for the milliseconds a pack must stay unchanged before it is installed. Defaults to 1000.
+     * @returns {Watcher} The watcher, used to stop watching the directory.
+     * NOTE: Changes are handled one at a time. Errors are logged and do not stop the watcher.
+     */
+    watch(settleTime = 1000) {
+        let timers = new Map();
+        let states = new Map();
+        let queue = Promise.resolve();
 
-        // Get the full path of each addon/pack and install it. 
-        for (let pack of packs) {
-            try {
-                let location = path.join(addonPath, pack);
+        // Wait until a pack has stopped changing before handling it, large files may take a while to be written.
+        let schedule = file => {
+            clearTimeout(timers.get(file));
+            timers.set(file, setTimeout(() => {
+                // Files that change while being read are checked again later.
+                let state;
+                try { state = readSourceState(path.join(this.addonPath, file)) } catch (err) { return schedule(file) }
+                if (!states.has(file) || states.get(file) !== state) {
+                    states.set(file, state);
+                    return schedule(file);
+                }
+                timers.delete(file);
+                states.delete(file);
+                queue = queue.then(() => handleChange(file, state)).catch(err => log.error('BDSAddonInstaller - ' + err.message));
+            }, settleTime));
+        };
+
+        // Install packs that were added or changed and uninstall the packs of deleted sources.
+        let handleChange = async (file, state) => {
+            let location = path.join(this.addonPath, file);
+            if (state) {
+                log.general('BDSAddonInstaller - Detected a new or changed pack, ' + file);
                 await this.installAddon(location);
-            }catch(err) {
-                log.error('BDSAddonInstaller - ' + err);
+                return;
             }
-        }
+            if (!Array.from(this.ledger.values()).some(record => record.source == file)) {
+                return log.detail(`BDSAddonInstaller - ${file} was removed but none of its packs were installed by BDSAddonInstaller.`);
+            }
+            log.general('BDSAddonInstaller - Detected a removed pack, ' + file);
+            await this.uninstallAddon(location);
+        };
+
+        let watcher = fs.watch(this.addonPath, (event, file) => {
+            // Hidden files, such as the install ledger & staged packs, are changed by the installer.
+            if (!file || file.startsWith('.') || file == legacyStagingFolder) return;
+            schedule(file);
+        });
+        watcher.on('error', err => log.error('BDSAddonInstaller - Unable to watch ' + this.addonPath + '. ' + err.message));
+        log.general('BDSAddonInstaller - Watching ' + this.addonPath + ' for changes.');
+
+        return {
+            close: async () => {
+                watcher.close();
+                timers.forEach(timer => clearTimeout(timer));
+                timers.clear();
+                await queue;
+            }
+        };
+    }
+
+    /**
+     * Brings every world into agreement with the packs listed in the bds-addons.json file at the server root.
+     * Listed packs are installed, upgraded or downgraded to their pinned version, and managed packs that are not listed are removed.
+     * A lockfile of the resolved packs and their hashes is written to bds-addons.lock.json.
+     * @returns {InstallSummary} The action taken for each pack in each world, removed packs have the removed action.
+     * NOTE: Each world is synced in its own transaction. Pinned versions are installed even if they are older than the installed version.
+     */
+    async sync() {
+        return enqueue(this, async () => {
+            let config = readPackConfig(this);
+            if (!config.packs) throw new Error('Unable to sync. The bds-addons.json file must have a packs array.');
+            let worlds = this.listWorlds();
+            let activeWorld = this.worldName;
+            for (let entry of config.packs) {
+                let missing = (entry.worlds || []).find(world => !worlds.includes(world));
+                if (missing) throw new Error('Unable to sync. The world listed in bds-addons.json does not exist. ' + missing);
+            }
+
+            // Find the pack files for each entry before changing any world.
+            let summary = {packs: [], rolledBack: false};
+            let resolved = await resolveConfigEntries(this, config.packs, summary);
+
+            // Packs are pinned to the listed version, so older versions replace newer ones.
+            try {
+                for (let world of worlds) {
+                    await changeWorld(this, world);
+                    let entries = resolved.filter(item => (item.entry.worlds || [activeWorld]).includes(world));
+                    let worldSummary = {packs: [], rolledBack: false};
+                    await runInstall(this, worldSummary, this.configPath, () => syncWorld(this, entries, worldSummary, 'allow'));
+                    summary.packs = summary.packs.concat(worldSummary.packs);
+                    summary.rolledBack = summary.rolledBack || worldSummary.rolledBack;
+                }
+            } finally {
+                await changeWorld(this, activeWorld);
+            }
+            await writeLockfile(this, resolved);
+            return summary;
+        });
+    }
+
+    /**
+     * Lists the resource and behavior packs of the active world in the order the game applies them.
+     * The first pack in each stack has the highest priority, its textures and files override the packs below it.
+     * @returns {PackOrder} The world resource and behavior pack stacks.
+     */
+    listPackOrder() {
+        let describe = (packs, worldPacks, serverPacks) => packs.map((entry, index) => {
+            let pack = worldPacks.get(entry.pack_id) || serverPacks.get(entry.pack_id);
+            return {position: index + 1, name: pack ? pack.name : null, uuid: entry.pack_id, version: entry.version, managed: this.ledger.has(entry.pack_id)};
+        });
+        return {
+            world: this.worldName,
+            resources: describe(this.worldResourcesJSON, this.installedWorldResources, this.installedServerResources),
+            behaviors: describe(this.worldBehaviorsJSON, this.installedWorldBehaviors, this.installedServerBehaviors)
+        };
+    }
+
+    /**
+     * Moves a pack within the resource or behavior stack of the active world.
+     * @param {String} idOrName - The uuid or name of a pack listed in the world pack JSON files.
+     * @param {PackPosition} position - Where to move the pack. Provide one of before, after, top or bottom.
+     * @returns {PackOrder} The world resource and behavior pack stacks after the move.
+     * NOTE: A pack can only be moved before or after packs of the same type.
+     */
+    async movePack(idOrName, position = {}) {
+        // Run inside of a transaction so the move can be undone with restore.
+        return enqueue(this, () => transaction(this, async () => {
+            let stack = findPackStack(this, idOrName);
+            if (!stack) throw new Error('Unable to move pack. The pack is not listed in the world pack JSON files. ' + idOrName);
+            let choices = ['before', 'after', 'top', 'bottom'].filter(key => position[key]);
+            if (choices.length != 1) throw new Error('Unable to move pack. Provide one of before, after, top or bottom.');
+
+            // Take the pack out of the stack before finding its new position.
+            let {packs, file, index} = stack;
+            let [entry] = packs.splice(index, 1);
+            let newIndex = position.bottom ? packs.length : 0;
+            if (position.before || position.after) {
+                let other = findPackStack(this, position.before || position.after);
+                if (!other || other.packs != packs) {
+                    packs.splice(index, 0, entry);
+                    throw new Error('Unable to move pack. The other pack must be listed in the same world pack JSON file. ' + (position.before || position.after));
+                }
+                newIndex = other.index + (position.after ? 1 : 0);
+            }
+            packs.splice(newIndex, 0, entry);
+            if (newIndex != index) await writeJSON(this, file, packs);
+            log.general(`BDSAddonInstaller - Moved ${idOrName} to position ${newIndex + 1} of ${packs.length}.`);
+            return this.listPackOrder();
+        }));
+    }
+
+    /**
+     * Turns a pack off for the active world without deleting its folders or install record.
+     * The pack is removed from the world pack JSON file, and from valid_known_packs.json if requested.
+     * @param {String} idOrName - The uuid or name of a pack installed by BDSAddonInstaller, or the pack or addon it was installed from.
+     * @param {Boolean} removeKnownPack - Optional parameter to also remove the pack from valid_known_packs.json.
+     * NOTE: The pack stays in valid_known_packs.json while another world has it enabled.
+     */
+    async disablePack(idOrName, removeKnownPack) {
+        // Run inside of a transaction so the server can be restored if disabling fails.
+        return enqueue(this, () => transaction(this, async () => {
+            let record = findLedgerRecord(this, idOrName, 'disable');
+            if (record.worlds[this.worldName].disabled) return log.general(`BDSAddonInstaller - The ${record.name} pack is already disabled.`);
+            await disableWorldPack(this, record, removeKnownPack);
+        }));
+    }
+
+    /**
+     * Turns a disabled pack back on for the active world, restoring its previous position in the pack stack.
+     * @param {String} idOrName - The uuid or name of a pack installed by BDSAddonInstaller, or the pack or addon it was installed from.
+     */
+    async enablePack(idOrName) {
+        // Run inside of a transaction so the server can be restored if enabling fails.
+        return enqueue(this, () => transaction(this, async () => {
+            let record = findLedgerRecord(this, idOrName, 'enable');
+            if (!record.worlds[this.worldName].disabled) return log.general(`BDSAddonInstaller - The ${record.name} pack is already enabled.`);
+            await enableWorldPack(this, record);
+        }));
+    }
+
+    /**
+     * Packages the packs of the active world for players that can not download packs from the server.
+     * The mcaddon format holds a folder for each pack, the mcworld format holds the whole world folder with its packs.
+     * @param {ExportOptions} options - Optional parameter to choose the format, packs and output file.
+     * @returns {ExportResult} The archive that was created and the packs inside of it.
+     * NOTE: Only packs listed in the world pack JSON files are exported, disabled packs are left out.
+     */
+    async exportPacks(options = {}) {
+        return enqueue(this, async () => {
+            let format = options.format || 'mcaddon';
+            if (!['mcaddon', 'mcworld'].includes(format)) throw new Error('Unable to export packs. Unknown format, ' + format);
+            let output = path.resolve(options.output || path.join(this.serverPath, 'exports', `${this.worldName}.${format}`));
+            if (!path.relative(this.addonPath, output).startsWith('..')) throw new Error('Unable to export packs. The export can not be saved in BDS-Addons, it would be installed on the next run.');
+
+            // Find the folder of each selected pack, preferring the world copy.
+            let packs = findExportPacks(this, options.types, options.uuids);
+            if (packs.length == 0) throw new Error('Unable to export packs. No packs in the world pack JSON files match the filters.');
+            log.general(`BDSAddonInstaller - Exporting ${packs.length} pack(s) from ${this.worldName} to ${output}`);
+
+            // Each pack needs a unique folder name inside of the archive.
+            let folders = [];
+            for (let pack of packs) {
+                let parent = format == 'mcworld' ? (pack.type == 'data' ? 'behavior_packs/' : 'resource_packs/') : '';
+                let label = path.basename(pack.location);
+                let name = parent + label;
+                for (let count = 2; folders.some(folder => folder.name == name); count++) name = `${parent}${label}_${count}`;
+                folders.push({location: pack.location, name});
+            }
+
+            // A world is loaded from the level.dat at the root of the archive, with the pack JSON files listing only the exported packs.
+            let files = [];
+            let skip = [];
+            if (format == 'mcworld') {
+                let worldFolder = path.join(this.worldsDir, this.worldName);
+                let worldFiles = [
+                    {name: path.basename(this.worldResourcesJsonPath), packs: this.worldResourcesJSON},
+                    {name: path.basename(this.worldBehaviorsJsonPath), packs: this.worldBehaviorsJSON}
+                ];
+                for (let {name, packs: entries} of worldFiles) {
+                    let exported = entries.filter(entry => packs.some(pack => pack.uuid == entry.pack_id));
+                    files.push({name, data: JSON.stringify(exported, undefined, 2)});
+                }
+                skip = files.map(file => file.name).concat(['resource_packs', 'behavior_packs']);
+                folders.unshift({location: worldFolder, name: ''});
+            }
+            await promiseZipFolders(folders, files, output, skip);
+
+            let exported = packs.map(pack => ({name: pack.name, uuid: pack.uuid, version: pack.version, type: pack.type}));
+            log.general(`BDSAddonInstaller - Exported ${packs.length} pack(s) to ${output}`);
+            return {file: output, format, world: this.worldName, packs: exported};
+        });
+    }
+
+    /**
+     * Checks the active world and the server for pack state left inconsistent by crashes or manual edits.
+     * @param {Boolean} fix - Optional parameter to repair the problems that can be repaired safely.
+     * @returns {DoctorReport} The problems found and whether each one was fixed.
+     * NOTE: Repairs are made in a transaction, so the snapshot taken first can be restored to undo them.
+     */
+    async doctor(fix) {
+        return enqueue(this, async () => {
+            let problems = await diagnose(this);
+            let repairs = problems.filter(problem => problem.repair);
+            if (fix && repairs.length > 0) {
+                await transaction(this, async () => {
+                    for (let problem of repairs) {
+                        try {
+                            await problem.repair();
+                            problem.fixed = true;
+                        } catch (err) {
+                            problem.error = err.message;
+                        }
+                    }
+                });
+                await mapAllInstalledPacks(this);
+            }
+
+            let results = problems.map(problem => {
+                let {repair, ...result} = problem;
+                let status = result.fixed ? 'Fixed' : repair ? 'Fixable' : 'Found';
+                log.detail(`BDSAddonInstaller - ${status}: ${result.message}${result.error ? ' Unable to fix. ' + result.error : ''}`);
+                return Object.assign(result, {fixable: Boolean(repair)});
+            });
+            if (results.length == 0) log.general(`BDSAddonInstaller - No problems were found in ${this.worldName} or the server.`);
+            return {world: this.worldName, problems: results};
+        });
+    }
+
+    /**
+     * Finds the packs that override each other in the active world, including the packs waiting in BDS-Addons.
+     * Resource packs conflict when they ship the same file, behavior packs when they define the same entity, item, block, recipe or loot table.
+     * @returns {ConflictReport} Each conflict with the packs involved and the pack that wins.
+     * NOTE: Packs in BDS-Addons are placed where installAllAddons would put them. Addons and pack folders are read in place.
+     */
+    async findConflicts() {
+        return enqueue(this, async () => {
+            let conflicts = findPackConflicts(this, listAddonSources(this));
+            conflicts.forEach(conflict => log.detail('BDSAddonInstaller - ' + conflict.message));
+            if (conflicts.length == 0) log.general(`BDSAddonInstaller - No conflicts were found between the packs of ${this.worldName}.`);
+            return {world: this.worldName, conflicts};
+        });
+    }
+
+    /**
+     * Lists the experiment toggles of the active world, read from its level.dat file.
+     * @returns {Experiment[]} Each known experiment and any other experiment found in level.dat.
+     */
+    listExperiments() {
+        let enabled = readExperiments(readLevelDat(this.levelDatPath));
+        let keys = Array.from(new Set(Object.keys(experimentNames).concat(Object.keys(enabled))));
+        return keys.map(key => ({key, name: experimentNames[key] || key, enabled: Boolean(enabled[key])}));
+    }
+
+    /**
+     * Turns experiment toggles of the active world on or off. A snapshot of level.dat is saved first.
+     * @param {Object<String, Boolean>} toggles - The experiments to change with the key, or the name shown by the game, as the key.
+     * @returns {Experiment[]} The experiment toggles after the change.
+     * NOTE: The server must be stopped, BDS saves level.dat when it stops and would replace the changes.
+     */
+    async setExperiments(toggles) {
+        // Run inside of a transaction so the change can be undone with restore.
+        return enqueue(this, () => transaction(this, async () => {
+            let changes = {};
+            for (let [key, enabled] of Object.entries(toggles || {})) {
+                let match = Object.keys(experimentNames).find(known => experimentNames[known].toLowerCase() == key.toLowerCase());
+                if (!match && !/^[a-z0-9_]+$/.test(key)) throw new Error('Unable to change experiments. Unknown experiment, ' + key);
+                changes[match || key] = Boolean(enabled);
+            }
+            await updateExperiments(this, changes);
+            return this.listExperiments();
+        }));
+    }
+
+    /**
+     * Reads the server.properties settings related to packs.
+     * @param {String} key - Optional parameter to read a single setting.
+     * @returns {Object<String, String>} The value of each setting with the setting name as the key, settings that are not set are null.
+     */
+    getServerProperties(key) {
+        let properties = readServerProperties(this);
+        let keys = key ? [key] : Object.keys(packProperties);
+        if (key && !packProperties.hasOwnProperty(key)) throw new Error(`Unable to read ${key}. Only settings related to packs can be read: ${Object.keys(packProperties).join(', ')}`);
+        return Object.fromEntries(keys.map(name => [name, getProperty(properties, name)]));
+    }
+
+    /**
+     * Changes a server.properties setting related to packs, keeping the comments and order of the file. A snapshot of the file is saved first.
+     * @param {String} key - The name of the setting, such as texturepack-required.
+     * @param {String} value - The new value of the setting.
+     * NOTE: The server reads server.properties when it starts, restart the server to use the new value.
+     */
+    async setServerProperty(key, value) {
+        // Run inside of a transaction so the change can be undone with restore.
+        return enqueue(this, () => transaction(this, async () => {
+            if (!packProperties.hasOwnProperty(key)) throw new Error(`Unable to change ${key}. Only settings related to packs can be changed: ${Object.keys(packProperties).join(', ')}`);
+            value = String(value);
+            let allowed = packProperties[key];
+            if (allowed && !allowed.includes(value)) throw new Error(`Unable to change ${key}. The value must be one of ${allowed.join(', ')}`);
+            if (/[\r\n]/.test(value)) throw new Error(`Unable to change ${key}. The value can not include line breaks.`);
+            if (key == 'level-name' && !this.listWorlds().includes(value)) log.warning(`BDSAddonInstaller - The world ${value} does not exist yet, the server will create it when it starts.`);
+            await updateServerProperties(this, {[key]: value});
+        }));
+    }
+
+    /**
+     * Lists the snapshots saved before each run that changed the server.
+     * @returns {Snapshot[]} The saved snapshots, newest first.
+     */
+    listSnapshots() {
+        return readSnapshots(this);
+    }
+
+    /**
+     * Restores the server to the state it was in before the provided snapshot was taken.
+     * Every snapshot taken after the provided snapshot is also restored, newest first, and then removed.
+     * @param {String} snapshotId - Optional parameter for the id of the snapshot to restore. Defaults to the newest snapshot.
+     */
+    async restore(snapshotId) {
+        return enqueue(this, async () => {
+            let snapshots = readSnapshots(this);
+            if (snapshots.length == 0) throw new Error('Unable to restore. No snapshots have been saved.');
+            let index = snapshotId ? snapshots.findIndex(snapshot => snapshot.id == snapshotId) : 0;
+            if (index == -1) throw new Error('Unable to restore. The snapshot does not exist. ' + snapshotId);
+            for (let snapshot of snapshots.slice(0, index + 1)) {
+                await restoreSnapshot(this, snapshot);
+                await fs.remove(path.join(this.snapshotsPath, snapshot.id));
+            }
+            log.general('BDSAddonInstaller - Restored the server to snapshot ' + snapshots[index].id);
+        });
     }
 
     /**
@@ -203,89 +1038,568 @@ export default class BDSAddonInstaller {
 ////////////////////////////////////////////////////////////////
 // BDSAddonInstaller - Install & Uninstall functions
 
+/**
+ * Runs an install inside of a transaction, recording the failure if the run is stopped.
+ * @param {BDSAddonInstaller} installer - The installer emitting the pack events.
+ * @param {InstallSummary} summary - The summary of the run.
+ * @param {String} file - The path being installed, used when the failure is not from a single pack.
+ * @param {Function} action - An async function that installs the packs.
+ */
+async function runInstall(installer, summary, file, action) {
+    // Runs that are already inside of a transaction leave the failure to the outer run.
+    if (installer.activeSnapshot) return action();
+    let snapshot = null;
+    try {
+        await transaction(installer, () => {
+            snapshot = installer.activeSnapshot;
+            return action();
+        });
+    } catch (err) {
+        // Packs that fail after changing the server are recorded before the run is stopped.
+        if (!summary.rolledBack) recordPackResult(installer, summary, {file, action: 'failed', error: err.message});
+        summary.rolledBack = snapshot != null && snapshot.changes > 0;
+    }
+}
+
+/**
+ * Installs all of the addons & packs found within the BDS-Addons directory.
+ * @param {BDSAddonInstaller} installer - The installer emitting the pack events.
+ * @param {Boolean} removeOldPacks - Remove all currently installed packs?
+ * @param {InstallSummary} summary - The summary to add the result of each pack to.
+ */
+async function installAllSources(installer, removeOldPacks, summary) {
+    // If chosen, uninstall all world packs.
+    if (removeOldPacks) await uninstallAllWorldPacks(installer);
+
+    // Read all packs & addons from BDS-Addon directory.
+    let packs = await fs.readdir(installer.addonPath);
+
+    // Hidden files, such as the install ledger, are not packs.
+    // The tmp folder may be left behind by older versions of the installer and is removed after staging.
+    let locations = packs.filter(pack => !pack.startsWith('.') && pack != legacyStagingFolder).map(pack => path.join(installer.addonPath, pack));
+    locations = locations.concat(await downloadConfigSources(installer, summary));
+
+    // Get the full path of each pack, staging the packs from any addons and folders.
+    let packFiles = [];
+    let stagedHashes = [];
+    for (let location of locations) {
+        try {
+            if (getSourceType(location) == 'pack') {
+                packFiles.push(location);
+            } else {
+                checkPackFile(installer, location);
+                let stagedFiles = await stagePacks(installer, location);
+                stagedHashes.push(path.basename(path.dirname(stagedFiles[0])));
+                packFiles = packFiles.concat(stagedFiles);
+            }
+        }catch(err) {
+            recordPackResult(installer, summary, {file: location, action: 'failed', error: err.message});
+        }
+    }
+    await pruneStagedPacks(installer, stagedHashes);
+
+    // Install each pack after the packs it depends on.
+    await installPackFiles(installer, packFiles, summary);
+}
+
+/**
+ * Installs the provide addon/pack to the BDS server and the active world. 
+ * @param {BDSAddonInstaller} installer - The installer emitting the pack events.
+ * @param {String} packPath - The full path to the pack or addon archive, or an unpacked pack folder. 
+ * @param {InstallSummary} summary - The summary to add the result of each pack to.
+ * @param {String} downgradePolicy - Optional parameter for how older versions are handled, allow, warn or refuse. Defaults to the installer setting.
+ * NOTE: Throws an error if a single pack fails to install, the failures of packs in addons & folders are added to the summary.
+ */
+async function installSource(installer, packPath, summary, downgradePolicy = installer.downgradePolicy) {
+    // Validate provided pack (pack exists & contains a pack)
+    if (!await fs.exists(packPath)) throw new Error('Unable to install pack. The provided path does not exist. ' + packPath);
+    let sourceType = getSourceType(packPath);
+    checkPackFile(installer, packPath);
+    if (sourceType != 'pack') {
+        // If the provided pack is an addon or folder stage its packs and install each one. 
+        // The packs are installed after the packs they depend on.
+        let packs = await stagePacks(installer, packPath);
+        await installPackFiles(installer, packs, summary, downgradePolicy);
+        return;
+    }
+    
+    // Gather pack details from the manifest.json file
+    let manifest = await extractPackManifest(packPath);
+    let name = manifest.header.name.replace(/\W/g, '');
+    let uuid = manifest.header.uuid;
+    let type = getPackType(manifest, packPath);
+    let result = {file: packPath, manifest, type};
+    if (unsupportedPackTypes[type]) {
+        log.warning(`BDSAddonInstaller - Skipping the ${name} pack. ${unsupportedPackTypes[type]}`);
+        return recordPackResult(installer, summary, Object.assign(result, {action: 'skipped', error: unsupportedPackTypes[type]}));
+    }
+
+    log.general('BDSAddonInstaller - Installing ' + name + '...');
+    installer.emit('pack:start', createPackResult(installer, result));
+
+    // Confirm the packs this pack depends on are installed to the world.
+    let missing = findMissingDependencies(installer, manifest);
+    if (missing.length > 0) throw new Error(`Unable to install the ${name} pack. Missing dependencies: ${missing.join(', ')}`);
+
+    // Check if already installed
+    let installedWorldPack, installedServerPack = null;
+    if (type == 'resources') {
+        installedWorldPack = installer.installedWorldResources.get(uuid);
+        installedServerPack = installer.installedServerResources.get(uuid);
+    }else if (type == 'data') {
+        installedWorldPack = installer.installedWorldBehaviors.get(uuid);
+        installedServerPack = installer.installedServerBehaviors.get(uuid)
+    }
+    let installedPack = installedWorldPack || installedServerPack;
+    result.installedVersion = installedPack ? installedPack.version : null;
+
+    // Packs installed before the ledger existed are adopted once the same version is found in a source.
+    let record = installer.ledger.get(uuid);
+    if (!record) {
+        record = adoptPack(installer, manifest, packPath, installedWorldPack, installedServerPack);
+        if (record) {
+            installer.ledger.set(uuid, record);
+            await saveLedger(installer);
+            log.detail(`BDSAddonInstaller - Adopted the installed ${name} pack, it matches ${record.source}.`);
+        }
+    }
+
+    // Check if current installed packs are up to date.
+    let decision = decideInstall(installer, manifest, await hashFile(packPath), installedWorldPack, installedServerPack, record, downgradePolicy);
+    result.action = decision.action;
+    if (decision.action == 'skipped') {
+        log.warning(`BDSAddonInstaller - Skipping the ${name} pack. ${decision.reason}`);
+        return recordPackResult(installer, summary, Object.assign(result, {error: decision.reason}));
+    }
+    if (decision.action == 'downgraded' && downgradePolicy == 'warn') {
+        log.warning(`BDSAddonInstaller - Downgrading the ${name} pack to version ${formatVersion(getManifestVersion(manifest))}.`);
+    }
+    if (decision.action == 'unchanged') {
+        log.general(`BDSAddonInstaller - The ${name} pack is already installed and up to date.`);
+        return recordPackResult(installer, summary, result);
+    }
+
+    // Upgraded packs keep their position in the pack JSON files.
+    let worldPacksJSON = type == 'resources' ? installer.worldResourcesJSON : installer.worldBehaviorsJSON;
+    let worldIndex = findIndexOf(worldPacksJSON, 'pack_id', uuid);
+    let serverIndex = findIndexOf(installer.serverPacksJSON, 'uuid', uuid);
+
+    // uninstall the copies of the pack that are not up to date
+    if (installedServerPack && decision.server) {
+        log.detail('BDSAddonInstaller - Uninstalling old version of pack from the server');
+        await uninstallServerPack(installer, uuid, installedServerPack.location);
+    }
+    if (installedWorldPack && decision.world) {
+        log.detail('BDSAddonInstaller - Uninstalling old version of pack from the world');
+        if (type == 'resources') await uninstallWorldResource(installer, uuid, installedWorldPack.location);
+        if (type == 'data') await uninstallWorldBehavior(installer, uuid, installedWorldPack.location);
+    }
+
+    await installPack(installer, packPath, manifest, {world: decision.world, server: decision.server, worldIndex, serverIndex});
+    log.general('BDSAddonInstaller - Successfully installed the ' + name + ' pack.');
+    recordPackResult(installer, summary, result);
+}
+
+/**
+ * Creates the result of a pack install from the pack file and manifest.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object} details - The {file, manifest, type, installedVersion, action, error} known for the pack.
+ * @returns {PackResult} The result of the pack.
+ */
+function createPackResult(installer, details) {
+    let manifest = details.manifest;
+    let origin = installer.stagedPacks.get(details.file);
+    return {
+        name: manifest ? manifest.header.name : path.basename(details.file),
+        uuid: manifest ? manifest.header.uuid : null,
+        version: manifest ? getManifestVersion(manifest) : null,
+        installedVersion: details.installedVersion || null,
+        type: details.type || null,
+        file: details.file,
+        source: origin ? origin.source : path.basename(details.file),
+        world: installer.worldName,
+        action: details.action || null,
+        error: details.error || null
+    };
+}
+
+/**
+ * Adds the result of a pack to the summary and emits the matching event.
+ * @param {BDSAddonInstaller} installer - The installer emitting the pack events.
+ * @param {InstallSummary} summary - The summary of the run.
+ * @param {Object} details - The {file, manifest, type, installedVersion, action, error} known for the pack.
+ */
+function recordPackResult(installer, summary, details) {
+    let result = createPackResult(installer, details);
+    if (result.action == 'failed') log.error(`BDSAddonInstaller - ${result.error}`);
+    summary.packs.push(result);
+    installer.emit(packEvents[result.action], result);
+}
+
 /**
  * Installs the provided pack to the world and Bedrock Dedicated Server.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
  * @param {String} packPath - The path to the pack to be installed.
  * @param {Object} manifest - The pre-parsed manifest information for the pack. 
+ * @param {Object} targets - Optional parameter to choose where to install the pack {world: Boolean, server: Boolean}.
+ * The worldIndex & serverIndex of targets are the positions of the previous version in the pack JSON files, new packs use the insert priority.
  */
-async function installPack(packPath, manifest) {
+async function installPack(installer, packPath, manifest, targets = {world: true, server: true}) {
     // Extract manifest information
     let name = manifest.header.name.replace(/\W/g, '');
     let uuid = manifest.header.uuid;
-    let version = manifest.header.version;
-    if (!version) version = manifest.header.modules[0].version;
-    let type;
-    if (manifest.modules) {
-        type = manifest.modules[0].type.toLowerCase();
-    } else if (manifest.header.modules) {
-        type = manifest.header.modules[0].type.toLowerCase();
-    }else {
-        throw new Error('Unable to install pack. Unknown pack manifest format.\n' + packPath);
-    }
+    let version = getManifestVersion(manifest);
+    let manifestVersion = version;
+    let type = getPackType(manifest, packPath);
 
     // Create placeholder variables for pack installation paths. 
     let installServerPath, installWorldPath, WorldPacksJSON, WorldPacksPath, rawPath = null;
 
     // Update variables based on the pack type.
     if (type == 'data') {
-        installServerPath = path.join(serverBehaviorsDir, name);
-        installWorldPath = path.join(worldBehaviorsDir, name);
-        WorldPacksJSON = worldBehaviorsJSON;
-        WorldPacksPath = worldBehaviorsJsonPath;
+        installServerPath = path.join(installer.serverBehaviorsDir, name);
+        installWorldPath = path.join(installer.worldBehaviorsDir, name);
+        WorldPacksJSON = installer.worldBehaviorsJSON;
+        WorldPacksPath = installer.worldBehaviorsJsonPath;
         rawPath = 'behavior_packs/' + name;
     }else if (type == 'resources') {
-        installServerPath = path.join(serverResourcesDir, name);
-        installWorldPath = path.join(worldResourcesDir, name);
-        WorldPacksJSON = worldResourcesJSON;
-        WorldPacksPath = worldResourcesJsonPath;
+        installServerPath = path.join(installer.serverResourcesDir, name);
+        installWorldPath = path.join(installer.worldResourcesDir, name);
+        WorldPacksJSON = installer.worldResourcesJSON;
+        WorldPacksPath = installer.worldResourcesJsonPath;
         rawPath = 'resource_packs/' + name;
     }else {
         throw new Error('Unknown pack type, ' + type);
     }
     
+    // Disabled packs stay disabled when upgraded, their entries are added back once they are enabled.
+    let record = installer.ledger.get(uuid) || {uuid, type, worlds: {}};
+    let disabled = record.worlds[installer.worldName] ? record.worlds[installer.worldName].disabled : null;
+
     // Install pack to the world.
-    let worldPackInfo = {'pack_id': uuid, "version": version}
-    WorldPacksJSON.unshift(worldPackInfo);
-    await promiseExtract(packPath, installWorldPath);
-    await fs.writeFile(WorldPacksPath, JSON.stringify(WorldPacksJSON, undefined, 2));
+    if (targets.world) {
+        let worldPackInfo = {'pack_id': uuid, "version": version}
+        if (!disabled) insertPackEntry(installer, WorldPacksJSON, worldPackInfo, targets.worldIndex, 0);
+        await backupFolder(installer, installWorldPath);
+        await promiseExtract(packPath, installWorldPath);
+        await writeJSON(installer, WorldPacksPath, WorldPacksJSON);
+    }
     
     // Install pack to the server.
-    version = `${version[0]}.${version[1]}.${version[2]}`;
-    let serverPackInfo = {"file_system": "RawPath", "path": rawPath, "uuid": uuid, "version": version};
-    serverPacksJSON.splice(1, 0, serverPackInfo);
-    await promiseExtract(packPath, installServerPath);
-    await fs.writeFile(serverPacksJsonPath, JSON.stringify(serverPacksJSON, undefined, 2));
-}
+    if (targets.server) {
+        version = `${version[0]}.${version[1]}.${version[2]}`;
+        let serverPackInfo = {"file_system": "RawPath", "path": rawPath, "uuid": uuid, "version": version};
+        if (disabled && disabled.serverEntry) disabled.serverEntry = serverPackInfo;
+        else insertPackEntry(installer, installer.serverPacksJSON, serverPackInfo, targets.serverIndex, 1);
+        await backupFolder(installer, installServerPath);
+        await promiseExtract(packPath, installServerPath);
+        await writeJSON(installer, installer.serverPacksJsonPath, installer.serverPacksJSON);
+    }
+
+    // Record the installation so the pack can be identified as installed by BDSAddonInstaller.
+    let hash = await hashFile(packPath);
+    let origin = installer.stagedPacks.get(packPath);
+    record.worlds[installer.worldName] = {folder: path.relative(installer.serverPath, installWorldPath), hash};
+    if (disabled) record.worlds[installer.worldName].disabled = disabled;
+    if (targets.server || !record.folder) {
+        Object.assign(record, {
+            name: manifest.header.name,
+            version: manifestVersion,
+            folder: path.relative(installer.serverPath, installServerPath),
+            source: origin ? origin.source : path.basename(packPath),
+            sourceEntry: origin ? origin.entry : null,
+            hash,
+            installed: new Date().toISOString()
+        });
+    }
+    installer.ledger.set(uuid, record);
+    await saveLedger(installer);
+
+    // Scripts may need config files in the server config folder before they can run.
+    await scaffoldScriptConfig(installer, manifest);
+
+    // Packs that use experimental features need the experiments enabled in the world.
+    if (targets.world && installer.autoExperiments) await enableRequiredExperiments(installer, manifest);
+
+    // When requested, players must download the resource packs before they can join.
+    if (type == 'resources' && installer.requireTexturepack && getProperty(readServerProperties(installer), 'texturepack-required') != 'true') {
+        await updateServerProperties(installer, {'texturepack-required': 'true'});
+        log.general('BDSAddonInstaller - Set texturepack-required=true in server.properties.');
+    }
+
+    // Update the installed pack maps with the new pack.
+    let packData = {name: manifest.header.name, uuid, version: manifestVersion, dependencies: manifest.dependencies || []};
+    let worldPacks = type == 'data' ? installer.installedWorldBehaviors : installer.installedWorldResources;
+    let serverPacks = type == 'data' ? installer.installedServerBehaviors : installer.installedServerResources;
+    if (targets.world) worldPacks.set(uuid, Object.assign({location: installWorldPath}, packData));
+    if (targets.server) serverPacks.set(uuid, Object.assign({location: installServerPath}, packData));
+}
 
 /**
- * Uninstall all resource and behavior packs from the Minecraft world.
- * If the server also has the pick it will also be uninstalled.
- * NOTE: Vanilla packs can't be safely removed from the server packs & there is no way to differentiate vanilla and added packs.
- * NOTE: This is why only packs found installed to the world will be removed from the server.  
+ * Inserts a pack into a pack JSON file at the position of its previous version, or at the top or bottom for new packs.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object[]} packs - The parsed world pack JSON or valid_known_packs.json file.
+ * @param {Object} entry - The entry for the pack.
+ * @param {Number} index - The position of the previous version of the pack, undefined or -1 for new packs.
+ * @param {Number} top - The first position a pack can be inserted at. valid_known_packs.json starts with its file version.
  */
-async function uninstallAllWorldPacks() {
-    log.general('BDSAddonInstaller - Uninstalling all packs found saved to world.');
-    
-    // Uninstall all cached world resource packs.
-    for (let pack of installedWorldResources.values()) {
-        await uninstallWorldResource(pack.uuid, pack.location);
-        let serverPack = installedServerResources.get(pack.uuid);
-        if (serverPack) await uninstallServerPack(pack.uuid, serverPack.location);
+function insertPackEntry(installer, packs, entry, index, top) {
+    if (index == undefined || index == -1) index = installer.insertPriority == 'bottom' ? packs.length : top;
+    packs.splice(Math.min(index, packs.length), 0, entry);
+}
+
+/**
+ * Compares a pack with its installed copies to decide which copies need to be installed.
+ * The server copy is shared by all worlds, so a pack may only need to be installed to the active world.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object} manifest - The parsed manifest.json file of the pack.
+ * @param {String} hash - The sha256 hash of the pack file or null if it is not known.
+ * @param {PackData} installedWorldPack - The copy of the pack installed to the active world or null.
+ * @param {PackData} installedServerPack - The copy of the pack installed to the server or null.
+ * @param {LedgerRecord} record - The ledger record of the pack or null.
+ * @param {String} downgradePolicy - Optional parameter for how older versions are handled, allow, warn or refuse. Defaults to the installer setting.
+ * @returns {InstallDecision} The action to take and the copies to install.
+ */
+function decideInstall(installer, manifest, hash, installedWorldPack, installedServerPack, record, downgradePolicy = installer.downgradePolicy) {
+    // Packs that were not installed by BDSAddonInstaller, such as vanilla packs, are never replaced.
+    if ((installedWorldPack || installedServerPack) && !record) {
+        return {action: 'skipped', reason: 'The installed pack was not installed by BDSAddonInstaller.', world: false, server: false};
+    }
+
+    // Older versions only replace the installed pack if downgrades are allowed.
+    let version = getManifestVersion(manifest);
+    let installed = installedWorldPack || installedServerPack;
+    let comparison = installed ? compareVersions(version, installed.version) : 1;
+    if (comparison < 0 && downgradePolicy == 'refuse') {
+        return {action: 'skipped', reason: `A newer version (${formatVersion(installed.version)}) is already installed. Allow downgrades to replace it.`, world: false, server: false};
+    }
+
+    let recordWorld = record ? record.worlds[installer.worldName] : null;
+    let sameContents = recordHash => !hash || !recordHash || recordHash == hash;
+    let serverUpToDate = !!installedServerPack && compareVersions(installedServerPack.version, version) == 0 && sameContents(record.hash);
+    let worldUpToDate = !!installedWorldPack && compareVersions(installedWorldPack.version, version) == 0 && sameContents(recordWorld && recordWorld.hash);
+
+    let action = 'unchanged';
+    if (!installedWorldPack) {
+        action = 'new';
+    } else if (comparison > 0 || (installedServerPack && compareVersions(version, installedServerPack.version) > 0)) {
+        action = 'upgraded';
+    } else if (comparison < 0) {
+        action = 'downgraded';
+    } else if (!worldUpToDate || !serverUpToDate) {
+        action = 'reinstalled';
+    }
+    return {action, reason: null, world: !worldUpToDate, server: !serverUpToDate};
+}
+
+/**
+ * Creates a ledger record for a pack installed before the ledger existed, when the same version of the pack is being installed.
+ * Installed packs that never match a source, such as vanilla and manually installed packs, are not adopted.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object} manifest - The parsed manifest.json file of the pack being installed.
+ * @param {String} packPath - The path to the pack being installed.
+ * @param {PackData} installedWorldPack - The copy of the pack installed to the active world or null.
+ * @param {PackData} installedServerPack - The copy of the pack installed to the server or null.
+ * @returns {LedgerRecord} The record of the adopted pack or null if the pack can not be adopted.
+ */
+function adoptPack(installer, manifest, packPath, installedWorldPack, installedServerPack) {
+    if (!installer.adoptPacks || !installedWorldPack) return null;
+    if (compareVersions(getManifestVersion(manifest), installedWorldPack.version) != 0) return null;
+    let origin = installer.stagedPacks.get(packPath);
+    return {
+        uuid: installedWorldPack.uuid,
+        type: getPackType(manifest, packPath),
+        worlds: {[installer.worldName]: {folder: path.relative(installer.serverPath, installedWorldPack.location), hash: null}},
+        name: installedWorldPack.name,
+        version: installedWorldPack.version,
+        folder: installedServerPack ? path.relative(installer.serverPath, installedServerPack.location) : null,
+        source: origin ? origin.source : path.basename(packPath),
+        sourceEntry: origin ? origin.entry : null,
+        hash: null,
+        installed: null
+    };
+}
+
+/**
+ * Separates the newest copy of each pack from older copies with the same uuid.
+ * @param {PackFile[]} packs - The packs to check. Packs without a manifest are always kept.
+ * @returns {Object} The newest packs in their original order and the older duplicates {newest: PackFile[], duplicates: PackFile[]}.
+ * NOTE: When copies have the same version the first copy is kept.
+ */
+function selectNewestPacks(packs) {
+    let newestByUuid = new Map();
+    for (let pack of packs) {
+        if (!pack.manifest) continue;
+        let uuid = pack.manifest.header.uuid;
+        let current = newestByUuid.get(uuid);
+        if (!current || compareVersions(getManifestVersion(pack.manifest), getManifestVersion(current.manifest)) > 0) newestByUuid.set(uuid, pack);
+    }
+    let newest = packs.filter(pack => !pack.manifest || newestByUuid.get(pack.manifest.header.uuid) == pack);
+    let duplicates = packs.filter(pack => !newest.includes(pack));
+    return {newest, duplicates};
+}
+
+/**
+ * Installs the provided pack files in dependency order using the installSource function.
+ * A pack is not installed if one of the packs it depends on failed to install.
+ * @param {BDSAddonInstaller} installer - The installer emitting the pack events.
+ * @param {String[]} packFiles - The paths to the packs to install.
+ * @param {InstallSummary} summary - The summary to add the result of each pack to.
+ * @param {String} downgradePolicy - Optional parameter for how older versions are handled, allow, warn or refuse. Defaults to the installer setting.
+ */
+async function installPackFiles(installer, packFiles, summary, downgradePolicy = installer.downgradePolicy) {
+    // Read the manifest of each pack. Packs without a valid manifest will fail when installed.
+    let packs = packFiles.map(file => {
+        let manifest = null;
+        try { manifest = extractPackManifest(file) } catch(err) {};
+        return {file, manifest};
+    });
+
+    // When a pack is found more than once only the newest version is installed.
+    let {newest, duplicates} = selectNewestPacks(packs);
+    duplicates.forEach(pack => {
+        log.detail(`BDSAddonInstaller - Skipping ${pack.file}. A newer copy of the pack was found.`);
+        recordPackResult(installer, summary, {file: pack.file, manifest: pack.manifest, action: 'skipped', error: 'A newer copy of the pack was found.'});
+    });
+    packs = newest;
+
+    // Packs that depend on each other are satisfied by the other packs waiting to be installed.
+    let sorted = sortByDependencies(installer, packs);
+    sorted.forEach(pack => { if (pack.manifest && !pack.error) installer.pendingPacks.set(pack.manifest.header.uuid, pack.manifest) });
+
+    // Install the packs in order, skipping packs that depend on a pack that failed.
+    let failed = new Set();
+    try {
+        for (let pack of sorted) {
+            let changes = installer.activeSnapshot ? installer.activeSnapshot.changes : 0;
+            try {
+                if (pack.error) throw pack.error;
+                let failedDependency = pack.manifest && getDependencies(pack.manifest).find(dependency => failed.has(dependency.uuid));
+                if (failedDependency) throw new Error(`Unable to install ${pack.file}. The dependency ${failedDependency.uuid} failed to install.`);
+                await installSource(installer, pack.file, summary, downgradePolicy);
+            }catch(err) {
+                recordPackResult(installer, summary, {file: pack.file, manifest: pack.manifest, action: 'failed', error: err.message});
+
+                // A pack that failed after changing the server ends the run so the snapshot can be restored.
+                if (installer.activeSnapshot && installer.activeSnapshot.changes > changes) {
+                    summary.rolledBack = true;
+                    throw err;
+                }
+                if (pack.manifest) failed.add(pack.manifest.header.uuid);
+            }
+            if (pack.manifest) installer.pendingPacks.delete(pack.manifest.header.uuid);
+        }
+    } finally {
+        installer.pendingPacks.clear();
     }
+}
 
-    // Uninstall all cached world behavior packs.
-    for (let pack of installedWorldBehaviors.values()) {
-        await uninstallWorldBehavior(pack.uuid, pack.location);
-        let serverPack = installedServerBehaviors.get(pack.uuid);
-        if (serverPack) await uninstallServerPack(pack.uuid, serverPack.location);
+/**
+ * Uninstall all resource and behavior packs installed by BDSAddonInstaller from the active world.
+ * Server copies are also uninstalled once no other world is using them.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * NOTE: Only packs recorded in the install ledger are removed, vanilla & manually installed packs are never touched.
+ */
+async function uninstallAllWorldPacks(installer) {
+    log.general('BDSAddonInstaller - Uninstalling all packs installed by BDSAddonInstaller.');
+    
+    // Uninstall each pack found in the ledger.
+    for (let uuid of Array.from(installer.ledger.keys())) {
+        await uninstallPack(installer, uuid);
     }
 
-    // All packs are cached by the constructor.
     // Reload world packs after uninstall. 
-    installedServerResources = mapInstalledPacks(serverResourcesDir);
-    installedServerBehaviors = mapInstalledPacks(serverBehaviorsDir);
-    installedWorldResources = mapInstalledPacks(worldResourcesDir);
-    installedWorldBehaviors = mapInstalledPacks(worldBehaviorsDir);
+    await mapAllInstalledPacks(installer);
+}
+
+/**
+ * Uninstalls a pack installed by BDSAddonInstaller from the active world using the folders in its ledger record.
+ * The server copy of the pack is also uninstalled once no other world is using it.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} uuid - The id of the pack to uninstall.
+ * @returns {Boolean} True if the pack was found in the ledger for the active world and removed.
+ * NOTE: The installed pack maps are not reloaded, call mapAllInstalledPacks when finished.
+ */
+async function uninstallPack(installer, uuid) {
+    let record = installer.ledger.get(uuid);
+    if (!record) return false;
+    let recordWorld = record.worlds[installer.worldName];
+    if (!recordWorld && Object.keys(record.worlds).length > 0) return false;
+
+    // Uninstall the pack from the active world.
+    if (recordWorld) {
+        let worldFolder = path.join(installer.serverPath, recordWorld.folder);
+        if (record.type == 'resources') await uninstallWorldResource(installer, uuid, worldFolder);
+        if (record.type == 'data') await uninstallWorldBehavior(installer, uuid, worldFolder);
+        delete record.worlds[installer.worldName];
+    }
+
+    // Uninstall the pack from the server and remove the record once the installer no longer owns a copy of the pack.
+    if (Object.keys(record.worlds).length == 0) {
+        await uninstallServerPack(installer, uuid, record.folder ? path.join(installer.serverPath, record.folder) : null);
+        installer.ledger.delete(uuid);
+    }
+    await saveLedger(installer);
+    return true;
+}
+
+/**
+ * Turns a pack off for the active world without deleting its folders, remembering its position in the pack stacks.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {LedgerRecord} record - The ledger record of an enabled pack installed to the active world.
+ * @param {Boolean} removeKnownPack - Also remove the pack from valid_known_packs.json, unless another world has it enabled?
+ */
+async function disableWorldPack(installer, record, removeKnownPack) {
+    let recordWorld = record.worlds[installer.worldName];
+
+    // Remember where the pack was so enabling puts it back in the same position.
+    let disabled = {index: -1, entry: null, serverIndex: -1, serverEntry: null};
+    let worldPacksJSON = record.type == 'data' ? installer.worldBehaviorsJSON : installer.worldResourcesJSON;
+    let worldPacksPath = record.type == 'data' ? installer.worldBehaviorsJsonPath : installer.worldResourcesJsonPath;
+    disabled.index = findIndexOf(worldPacksJSON, 'pack_id', record.uuid);
+    if (disabled.index != -1) {
+        disabled.entry = worldPacksJSON.splice(disabled.index, 1)[0];
+        await writeJSON(installer, worldPacksPath, worldPacksJSON);
+    }
+    if (removeKnownPack) {
+        let enabledWorld = Object.keys(record.worlds).find(world => world != installer.worldName && !record.worlds[world].disabled);
+        if (enabledWorld) log.warning(`BDSAddonInstaller - The ${record.name} pack is kept in valid_known_packs.json, it is enabled for the world ${enabledWorld}.`);
+        disabled.serverIndex = enabledWorld ? -1 : findIndexOf(installer.serverPacksJSON, 'uuid', record.uuid);
+        if (disabled.serverIndex != -1) {
+            disabled.serverEntry = installer.serverPacksJSON.splice(disabled.serverIndex, 1)[0];
+            await writeJSON(installer, installer.serverPacksJsonPath, installer.serverPacksJSON);
+        }
+    }
+    recordWorld.disabled = disabled;
+    await saveLedger(installer);
+    log.general(`BDSAddonInstaller - Disabled the ${record.name} pack.`);
+}
+
+/**
+ * Turns a disabled pack back on for the active world, restoring its previous position in the pack stacks.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {LedgerRecord} record - The ledger record of a disabled pack installed to the active world.
+ */
+async function enableWorldPack(installer, record) {
+    let recordWorld = record.worlds[installer.worldName];
+    let disabled = recordWorld.disabled;
+
+    // The pack may have been upgraded while it was disabled, so the entries use the recorded version.
+    let worldPacksJSON = record.type == 'data' ? installer.worldBehaviorsJSON : installer.worldResourcesJSON;
+    let worldPacksPath = record.type == 'data' ? installer.worldBehaviorsJsonPath : installer.worldResourcesJsonPath;
+    if (findIndexOf(worldPacksJSON, 'pack_id', record.uuid) == -1) {
+        let entry = Object.assign({}, disabled.entry, {pack_id: record.uuid, version: record.version});
+        insertPackEntry(installer, worldPacksJSON, entry, disabled.index, 0);
+        await writeJSON(installer, worldPacksPath, worldPacksJSON);
+    }
+    if (disabled.serverEntry && findIndexOf(installer.serverPacksJSON, 'uuid', record.uuid) == -1) {
+        let entry = Object.assign({}, disabled.serverEntry, {version: formatVersion(record.version)});
+        insertPackEntry(installer, installer.serverPacksJSON, entry, disabled.serverIndex, 1);
+        await writeJSON(installer, installer.serverPacksJsonPath, installer.serverPacksJSON);
+    }
+    delete recordWorld.disabled;
+    await saveLedger(installer);
+    log.general(`BDSAddonInstaller - Enabled the ${record.name} pack.`);
 }
 
 // TODO: uninstallWorldResource, uninstallWorldBehavior, and uninstallServerPack share the same logic. 
@@ -293,23 +1607,25 @@ async function uninstallAllWorldPacks() {
 
 /**
  * Uninstalls the pack from the world_resource_packs.json by uuid & deletes the provided pack path. 
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
  * @param {String} uuid - The id of the pack to remove from the world_resource_packs.json file. 
  * @param {String} location - The path to the root directory of the installed pack to be deleted.
  * WARNING: No validation is done to confirm that the provided path is a pack. 
  */
-async function uninstallWorldResource(uuid, location) {
+async function uninstallWorldResource(installer, uuid, location) {
     // Locate the pack in the manifest data.
-    let packIndex = findIndexOf(worldResourcesJSON, 'pack_id', uuid);
+    let packIndex = findIndexOf(installer.worldResourcesJSON, 'pack_id', uuid);
 
     // Remove the pack data and update the json file.
     if (packIndex != -1) {
-        worldResourcesJSON.splice(packIndex, 1);
-        await fs.writeFile(worldResourcesJsonPath, JSON.stringify(worldResourcesJSON, undefined, 2));
+        installer.worldResourcesJSON.splice(packIndex, 1);
+        await writeJSON(installer, installer.worldResourcesJsonPath, installer.worldResourcesJSON);
         log.detail(`BDSAddonInstaller - Removed ${uuid} from world resource packs JSON.`);
     }
 
     // Delete the provided pack path.
-    if (await fs.exists(location)) {
+    if (location && await fs.exists(location)) {
+        await backupFolder(installer, location);
         await fs.remove(location);
         log.detail(`BDSAddonInstaller - Removed ${location}`);
     }
@@ -317,196 +1633,2658 @@ async function uninstallWorldResource(uuid, location) {
 
 /**
  * Uninstalls the pack from the world_behavior_packs.json by uuid & deletes the provided pack path. 
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
  * @param {String} uuid - The id of the pack to remove from the world_behavior_packs.json file. 
  * @param {String} location - The path to the root directory of the installed pack to be deleted.
  * WARNING: No validation is done to confirm that the provided path is a pack. 
  */
-async function uninstallWorldBehavior(uuid, location) {
+async function uninstallWorldBehavior(installer, uuid, location) {
     // Locate the pack in the manifest data.
-    let packIndex = findIndexOf(worldBehaviorsJSON, 'pack_id', uuid);
+    let packIndex = findIndexOf(installer.worldBehaviorsJSON, 'pack_id', uuid);
 
     // Remove the pack data and update the json file.
     if (packIndex != -1) {
-        worldBehaviorsJSON.splice(packIndex, 1);
-        await fs.writeFile(worldBehaviorsJsonPath, JSON.stringify(worldBehaviorsJSON, undefined, 2));
+        installer.worldBehaviorsJSON.splice(packIndex, 1);
+        await writeJSON(installer, installer.worldBehaviorsJsonPath, installer.worldBehaviorsJSON);
         log.detail(`BDSAddonInstaller - Removed ${uuid} from world behavior packs JSON.`);
     }
 
     // Delete the provided pack path.
-    if (await fs.exists(location)) {
+    if (location && await fs.exists(location)) {
+        await backupFolder(installer, location);
+        await fs.remove(location);
+        log.detail(`BDSAddonInstaller - Removed ${location}`);
+    }
+}
+
+/**
+ * Uninstalls the pack from the valid_known_packs.json by uuid & deletes the provided pack path. 
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} uuid - The id of the pack to remove from the valid_known_packs.json file. 
+ * @param {String} location - The path to the root directory of the installed pack to be deleted.
+ * WARNING: No validation is done to confirm that the provided path is a pack.  
+ */
+async function uninstallServerPack (installer, uuid, location) {
+    // Locate the pack in the manifest data.
+    let packIndex = findIndexOf(installer.serverPacksJSON, 'uuid', uuid);
+
+    // Remove the pack data and update the json file.
+    if (packIndex != -1) {
+        installer.serverPacksJSON.splice(packIndex, 1);
+        await writeJSON(installer, installer.serverPacksJsonPath, installer.serverPacksJSON);
+        log.detail(`BDSAddonInstaller - Removed ${uuid} from server packs JSON.`);
+    }
+
+    // Delete the provided pack path. 
+    if (location && await fs.exists(location)) {
+        await backupFolder(installer, location);
         await fs.remove(location);
         log.detail(`BDSAddonInstaller - Removed ${location}`);
     }
 }
 
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller validation functions
+
+/**
+ * Validates a pack before it is installed, logging any warnings.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} packPath - The path to the pack or addon archive, or an unpacked pack folder.
+ * @param {Boolean} quiet - Optional parameter to skip logging warnings.
+ * NOTE: Throws an error if the file has validation errors, or warnings when using strict mode.
+ */
+function checkPackFile(installer, packPath, quiet) {
+    let results = validateFile(packPath);
+    let errors = [].concat(...results.map(result => result.errors));
+    let warnings = [].concat(...results.map(result => result.warnings));
+    if (!quiet) warnings.forEach(warning => log.warning(`BDSAddonInstaller - ${path.basename(packPath)}: ${warning}`));
+    if (errors.length > 0) throw new Error(`The pack ${packPath} failed validation.\n - ${errors.join('\n - ')}`);
+    if (installer.strictMode && warnings.length > 0) throw new Error(`The pack ${packPath} has validation warnings and strict mode is enabled.\n - ${warnings.join('\n - ')}`);
+}
+
+/**
+ * Validates the manifest and contents of a pack or addon.
+ * Addons and folders are validated in place, checking each pack found inside of them.
+ * @param {String} packPath - The path to the pack or addon archive, or an unpacked pack folder.
+ * @returns {ValidationResult[]} The errors and warnings found for each pack.
+ */
+function validateFile(packPath) {
+    if (fs.statSync(packPath).isDirectory()) return validateFolder(packPath);
+    let archive;
+    try {
+        archive = new admZip(packPath);
+        archive.getEntries();
+    } catch (err) {
+        return [createValidationResult(packPath, ['Unable to read the archive. ' + err])];
+    }
+    return validateArchive(archive, packPath);
+}
+
+/**
+ * Validates each pack found in an unpacked folder.
+ * @param {String} folder - The path to the folder.
+ * @returns {ValidationResult[]} The errors and warnings found for each pack.
+ */
+function validateFolder(folder) {
+    let results = [];
+    for (let pack of findSourcePacks(folder)) {
+        if (pack.archive) results = results.concat(validateFile(pack.location));
+        else results.push(validateManifestText(fs.readFileSync(findManifestFile(pack.location)).toString(), pack.location));
+    }
+    if (results.length == 0) results.push(createValidationResult(folder, ['Unable to find a manifest.json file in the folder.']));
+    return results;
+}
+
+/**
+ * Validates the entries and manifests of an archive.
+ * Archives without a manifest.json at the root are checked for each pack inside of them.
+ * @param {admZip} archive - The opened archive.
+ * @param {String} file - The location of the archive, used in the results.
+ * @returns {ValidationResult[]} The errors and warnings found for each pack.
+ */
+function validateArchive(archive, file) {
+    let unsafe = findUnsafeEntries(archive);
+    let results = [];
+    let root = archive.getEntries().find(entry => manifestFiles.includes(entry.entryName));
+    if (root) {
+        results.push(validateManifestText(archive.readAsText(root), file));
+    } else {
+        let {manifests, archives} = findArchivePacks(archive);
+        for (let entry of manifests) {
+            results.push(validateManifestText(archive.readAsText(entry), path.join(file, path.posix.dirname(entry.entryName))));
+        }
+        for (let entry of archives) {
+            let pack;
+            try { pack = new admZip(entry.getData()) } catch (err) {
+                results.push(createValidationResult(path.join(file, entry.entryName), ['Unable to read the archive. ' + err]));
+                continue;
+            }
+            results = results.concat(validateArchive(pack, path.join(file, entry.entryName)));
+        }
+    }
+    if (results.length == 0) results.push(createValidationResult(file, ['Unable to find a manifest.json file in the archive.']));
+    results[0].errors = unsafe.concat(results[0].errors);
+    return results;
+}
+
+/**
+ * Finds archive entries that would be extracted outside of the destination folder (zip-slip).
+ * @param {admZip} archive - The opened archive.
+ * @returns {String[]} An error for each unsafe entry.
+ */
+function findUnsafeEntries(archive) {
+    let errors = [];
+    for (let entry of archive.getEntries()) {
+        let name = entry.entryName.replace(/\\/g, '/');
+        if (name.startsWith('/') || /^[a-z]:/i.test(name)) errors.push('The archive contains an entry with an absolute path: ' + entry.entryName);
+        else if (name.split('/').includes('..')) errors.push('The archive contains an entry outside of the pack folder: ' + entry.entryName);
+    }
+    return errors;
+}
+
+/**
+ * Parses and validates the text of a manifest.json file.
+ * @param {String} text - The contents of the manifest file.
+ * @param {String} file - The location of the pack, used in the results.
+ * @returns {ValidationResult} The errors and warnings found for the manifest.
+ */
+function validateManifestText(text, file) {
+    let manifest;
+    try { manifest = JSON.parse(stripJsonComments(text)) } catch (err) {
+        return createValidationResult(file, ['Unable to parse the manifest.json file. ' + err.message]);
+    }
+    let result = createValidationResult(file, []);
+    validateManifest(manifest, result);
+    return result;
+}
+
+/**
+ * Validates the structure of a parsed manifest, adding any errors and warnings to the result.
+ * @param {Object} manifest - The parsed manifest.json file.
+ * @param {ValidationResult} result - The result to update.
+ */
+function validateManifest(manifest, result) {
+    let {errors, warnings} = result;
+    let header = manifest && manifest.header;
+    if (!header || typeof header != 'object') return errors.push('The manifest does not have a header.');
+    result.name = header.name || null;
+    result.uuid = header.uuid || null;
+
+    // Format versions 1 & 2 are supported.
+    if (manifest.format_version == undefined) warnings.push('The manifest does not have a format_version.');
+    else if (![1, 2].includes(Number(manifest.format_version))) warnings.push(`The manifest format_version ${manifest.format_version} is not known.`);
+
+    // Header details
+    if (!header.name) warnings.push('The header does not have a name.');
+    if (!uuidPattern.test(header.uuid)) errors.push(`The header uuid is not valid: ${header.uuid}`);
+    let modules = manifest.modules || header.modules;
+    if (header.version != undefined) {
+        if (!isVersionArray(header.version)) errors.push(`The header version must be an array of three numbers: ${JSON.stringify(header.version)}`);
+    } else if (!Array.isArray(modules) || !modules[0] || !modules[0].version) {
+        errors.push('The header does not have a version.');
+    }
+    if (header.min_engine_version == undefined) {
+        if (Number(manifest.format_version) == 2) warnings.push('The header does not have a min_engine_version.');
+    } else if (!isVersionArray(header.min_engine_version)) {
+        errors.push(`The min_engine_version must be an array of three numbers: ${JSON.stringify(header.min_engine_version)}`);
+    }
+
+    // Modules
+    if (!Array.isArray(modules) || modules.length == 0) return errors.push('The manifest does not have any modules.');
+    let uuids = [header.uuid];
+    modules.forEach((module, index) => {
+        if (!module || typeof module != 'object') return errors.push(`Module ${index} is not an object.`);
+        let type = String(module.type).toLowerCase();
+        if (!Object.keys(moduleTypes).includes(type)) errors.push(`Module ${index} has an unknown type: ${module.type}`);
+        if (!uuidPattern.test(module.uuid)) errors.push(`Module ${index} uuid is not valid: ${module.uuid}`);
+        else if (uuids.includes(module.uuid)) errors.push(`Module ${index} uuid ${module.uuid} is already used by the header or another module.`);
+        uuids.push(module.uuid);
+        if (!isVersionArray(module.version)) errors.push(`Module ${index} version must be an array of three numbers: ${JSON.stringify(module.version)}`);
+    });
+
+    // Packs are classified using all of their modules. Skin packs and world templates are skipped when installing.
+    let packTypes = modules.map(module => module && moduleTypes[String(module.type).toLowerCase()]);
+    if (packTypes.includes('resources') && packTypes.includes('data')) warnings.push('The manifest has both resource and behavior modules. It will be installed as a behavior pack.');
+    let packType = ['world_template', 'skin_pack'].find(type => packTypes.includes(type));
+    if (packType) warnings.push(`The pack will not be installed. ${unsupportedPackTypes[packType]}`);
+
+    // Dependencies
+    if (manifest.dependencies != undefined && !Array.isArray(manifest.dependencies)) return errors.push('The manifest dependencies must be an array.');
+    (manifest.dependencies || []).forEach((dependency, index) => {
+        if (!dependency || (!dependency.uuid && !dependency.module_name)) return errors.push(`Dependency ${index} does not have a uuid or module_name.`);
+        if (dependency.uuid && !uuidPattern.test(dependency.uuid)) errors.push(`Dependency ${index} uuid is not valid: ${dependency.uuid}`);
+        if (dependency.version == undefined) warnings.push(`Dependency ${index} does not have a version.`);
+        else if (!dependency.module_name && !isVersionArray(dependency.version)) errors.push(`Dependency ${index} version must be an array of three numbers: ${JSON.stringify(dependency.version)}`);
+    });
+}
+
+/**
+ * Checks if a value is a manifest version array of three non-negative integers.
+ * @param {*} version - The value to check.
+ * @returns {Boolean} True if the value is a valid version array.
+ */
+function isVersionArray(version) {
+    return Array.isArray(version) && version.length == 3 && version.every(part => Number.isInteger(part) && part >= 0);
+}
+
+/**
+ * Creates an empty validation result.
+ * @param {String} file - The location of the pack.
+ * @param {String[]} errors - The errors already found.
+ * @returns {ValidationResult} The new result.
+ */
+function createValidationResult(file, errors) {
+    return {file, name: null, uuid: null, errors, warnings: []};
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller config functions
+
+/**
+ * Reads and validates the bds-addons.json file at the server root.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {PackConfig} The config with the default value filled in for each optional field.
+ */
+function readPackConfig(installer) {
+    if (!fs.existsSync(installer.configPath)) throw new Error('Unable to sync. No bds-addons.json file was found.\n' + installer.configPath);
+    let config;
+    try { config = JSON.parse(stripJsonComments(fs.readFileSync(installer.configPath).toString())) } catch (err) {
+        throw new Error('Unable to read bds-addons.json. ' + err.message);
+    }
+    if (!config || typeof config != 'object') throw new Error('Unable to read bds-addons.json. The file must hold an object.');
+    if (config.packs != undefined && !Array.isArray(config.packs)) throw new Error('Unable to read bds-addons.json. The packs must be an array.');
+    if (config.sources != undefined && !Array.isArray(config.sources)) throw new Error('Unable to read bds-addons.json. The sources must be an array.');
+    if (config.priority != undefined && !['top', 'bottom'].includes(config.priority)) throw new Error('Unable to read bds-addons.json. The priority must be top or bottom.');
+
+    let sources = (config.sources || []).map((source, index) => {
+        if (typeof source == 'string') source = {url: source};
+        if (!source || !isRemoteSource(source.url)) throw new Error(`Unable to read bds-addons.json. Source ${index} must have an http or https url.`);
+        if (source.sha256 && !/^[0-9a-f]{64}$/i.test(source.sha256)) throw new Error(`Unable to read bds-addons.json. Source ${index} has an invalid sha256 hash.`);
+        return {url: source.url, sha256: source.sha256 || null};
+    });
+
+    let packs = config.packs == undefined ? null : config.packs.map((pack, index) => {
+        let problem = message => new Error(`Unable to read bds-addons.json. Pack ${index} ${message}`);
+        if (!pack || typeof pack != 'object') throw problem('is not an object.');
+        if (!pack.source && !pack.uuid) throw problem('must have a source or uuid.');
+        if (pack.uuid && !uuidPattern.test(pack.uuid)) throw problem('has an invalid uuid: ' + pack.uuid);
+        let version = typeof pack.version == 'string' ? pack.version.split('.').map(Number) : pack.version;
+        if (version != undefined && !isVersionArray(version)) throw problem('has an invalid version: ' + JSON.stringify(pack.version));
+        if (pack.worlds != undefined && (!Array.isArray(pack.worlds) || pack.worlds.length == 0)) throw problem('must list its worlds in an array.');
+        if (pack.order != undefined && typeof pack.order != 'number') throw problem('must have a number for its order.');
+        if (pack.sha256 && !/^[0-9a-f]{64}$/i.test(pack.sha256)) throw problem('has an invalid sha256 hash.');
+        return {
+            source: pack.source || null,
+            uuid: pack.uuid || null,
+            version: version || null,
+            worlds: pack.worlds || null,
+            enabled: pack.enabled !== false,
+            order: pack.order == undefined ? null : pack.order,
+            subpack: pack.subpack || null,
+            sha256: pack.sha256 || null
+        };
+    });
+    return {priority: config.priority || 'top', sources, packs};
+}
+
+/**
+ * Finds the pack files that match each config entry.
+ * Entries with a source use the packs in that file or folder, entries with only a uuid are found in BDS-Addons.
+ * @param {BDSAddonInstaller} installer - The installer emitting the pack events.
+ * @param {PackConfigEntry[]} entries - The entries from the config.
+ * @param {InstallSummary} summary - The summary to add entries that could not be resolved to.
+ * @returns {ResolvedEntry[]} The entries with the matching pack files and uuids.
+ */
+async function resolveConfigEntries(installer, entries, summary) {
+    let addonPacks = null;
+    let results = [];
+    for (let entry of entries) {
+        let result = {entry, packs: [], uuids: []};
+        results.push(result);
+        try {
+            let packs;
+            if (entry.source) {
+                let location = [path.join(installer.addonPath, entry.source), path.resolve(installer.serverPath, entry.source)].find(file => fs.existsSync(file));
+                if (isRemoteSource(entry.source)) location = await downloadSource(installer, entry.source, entry.sha256);
+                else if (entry.sha256 && location) await verifyChecksum(location, entry.sha256);
+                if (!location) throw new Error('Unable to find the source listed in bds-addons.json. ' + entry.source);
+                packs = await readSourcePacks(installer, location);
+            } else {
+                if (!addonPacks) addonPacks = await readAddonPacks(installer);
+                packs = addonPacks;
+            }
+
+            // Narrow the packs down to the uuid and pinned version.
+            packs = packs.filter(pack => !entry.uuid || pack.manifest.header.uuid == entry.uuid);
+            if (entry.version) packs = packs.filter(pack => compareVersions(getManifestVersion(pack.manifest), entry.version) == 0);
+            packs = selectNewestPacks(packs).newest;
+            result.packs = packs;
+            result.uuids = packs.map(pack => pack.manifest.header.uuid);
+
+            // A pack that is already installed at the pinned version does not need a file.
+            let installed = entry.uuid && installer.ledger.get(entry.uuid);
+            let isPinned = installed && (!entry.version || compareVersions(installed.version, entry.version) == 0);
+            if (packs.length == 0 && !isPinned) {
+                let version = entry.version ? ' version ' + formatVersion(entry.version) : '';
+                throw new Error(`Unable to find ${entry.uuid || entry.source}${version} for bds-addons.json.`);
+            }
+        } catch (err) {
+            recordPackResult(installer, summary, {file: entry.source || entry.uuid, action: 'failed', error: err.message});
+        }
+
+        // Packs that could not be found are kept rather than removed.
+        if (result.uuids.length == 0) {
+            if (entry.uuid) result.uuids.push(entry.uuid);
+            else result.uuids = Array.from(installer.ledger.values()).filter(record => record.source == getDownloadName(entry.source)).map(record => record.uuid);
+        }
+    }
+    return results;
+}
+
+/**
+ * Reads the manifest of each pack in a source, staging addons and folders.
+ * @param {BDSAddonInstaller} installer - The installer emitting the extract:progress events.
+ * @param {String} location - The path to the pack, addon or folder.
+ * @returns {PackFile[]} The pack files and manifests.
+ */
+async function readSourcePacks(installer, location) {
+    let files = getSourceType(location) == 'pack' ? [location] : await stagePacks(installer, location);
+    return files.map(file => ({file, manifest: extractPackManifest(file)}));
+}
+
+/**
+ * Reads the manifest of each pack in the BDS-Addons directory. Sources that cannot be read are skipped.
+ * @param {BDSAddonInstaller} installer - The installer emitting the extract:progress events.
+ * @returns {PackFile[]} The pack files and manifests.
+ */
+async function readAddonPacks(installer) {
+    let packs = [];
+    for (let file of await fs.readdir(installer.addonPath)) {
+        if (file.startsWith('.') || file == legacyStagingFolder) continue;
+        try { packs = packs.concat(await readSourcePacks(installer, path.join(installer.addonPath, file))) } catch (err) {
+            log.detail(`BDSAddonInstaller - Skipping ${file}. ${err.message}`);
+        }
+    }
+    return packs;
+}
+
+/**
+ * Brings the active world into agreement with the config entries that target it.
+ * Packs of entries with enabled set to false are installed but disabled, the same as the disablePack function.
+ * @param {BDSAddonInstaller} installer - The installer emitting the pack events.
+ * @param {ResolvedEntry[]} entries - The entries that target the active world.
+ * @param {InstallSummary} summary - The summary to add the result of each pack to.
+ * @param {String} downgradePolicy - How older versions of installed packs are handled, allow, warn or refuse.
+ */
+async function syncWorld(installer, entries, summary, downgradePolicy) {
+    let uuids = [].concat(...entries.map(item => item.uuids));
+
+    // Remove the managed packs that are no longer listed.
+    for (let record of Array.from(installer.ledger.values())) {
+        if (!record.worlds[installer.worldName] || uuids.includes(record.uuid)) continue;
+        let result = {file: record.source || record.uuid, manifest: {header: {name: record.name, uuid: record.uuid, version: record.version}}, type: record.type, action: 'removed'};
+        if (await uninstallPack(installer, record.uuid)) recordPackResult(installer, summary, result);
+    }
+    await mapAllInstalledPacks(installer);
+
+    // Install the listed packs, then apply their order and subpacks.
+    await installPackFiles(installer, [].concat(...entries.map(item => item.packs.map(pack => pack.file))), summary, downgradePolicy);
+
+    // Entries with enabled set to false keep their packs installed, but turned off for the world.
+    for (let {entry, uuids} of entries) {
+        for (let uuid of uuids) {
+            let record = installer.ledger.get(uuid);
+            if (!record || !record.worlds[installer.worldName]) continue;
+            let disabled = Boolean(record.worlds[installer.worldName].disabled);
+            if (entry.enabled && disabled) await enableWorldPack(installer, record);
+            if (!entry.enabled && !disabled) await disableWorldPack(installer, record, false);
+        }
+    }
+    await applyConfigLayout(installer, entries);
+}
+
+/**
+ * Updates the world pack JSON files to match the order and subpack of each config entry.
+ * Entries with an order are moved to the top of the stack, the lowest order first.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {ResolvedEntry[]} entries - The enabled entries that target the active world.
+ */
+async function applyConfigLayout(installer, entries) {
+    let files = [{file: installer.worldResourcesJsonPath, packs: installer.worldResourcesJSON}, {file: installer.worldBehaviorsJsonPath, packs: installer.worldBehaviorsJSON}];
+    for (let {file, packs} of files) {
+        let before = JSON.stringify(packs);
+        let ordered = [];
+        for (let {entry, uuids} of entries) {
+            for (let uuid of uuids) {
+                let index = findIndexOf(packs, 'pack_id', uuid);
+                if (index == -1) continue;
+                let pack = packs[index];
+                if (entry.subpack) pack.subpack = entry.subpack;
+                else delete pack.subpack;
+                if (entry.order == null) continue;
+                packs.splice(index, 1);
+                ordered.push({order: entry.order, pack});
+            }
+        }
+        ordered.sort((a, b) => a.order - b.order);
+        packs.unshift(...ordered.map(item => item.pack));
+        if (JSON.stringify(packs) != before) await writeJSON(installer, file, packs);
+    }
+}
+
+/**
+ * Writes the resolved version, source and hash of each listed pack to bds-addons.lock.json.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {ResolvedEntry[]} entries - The resolved config entries.
+ */
+async function writeLockfile(installer, entries) {
+    let packs = [];
+    for (let uuid of [].concat(...entries.map(item => item.uuids))) {
+        let record = installer.ledger.get(uuid);
+        if (!record || packs.some(pack => pack.uuid == uuid)) continue;
+        let {name, version, type, source, sourceEntry, hash} = record;
+        packs.push({uuid, name, version, type, source, sourceEntry, hash, worlds: Object.keys(record.worlds)});
+    }
+    await fs.outputFile(installer.lockfilePath, JSON.stringify({lockfileVersion: 1, packs}, undefined, 2));
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller server properties functions
+
+/**
+ * Reads the server.properties file of the server.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {ServerProperties} Every line of the file, so it can be written back unchanged.
+ */
+function readServerProperties(installer) {
+    if (!fs.existsSync(installer.serverPropertiesPath)) throw new Error('Unable to locate server properties @ ' + installer.serverPropertiesPath);
+    return parseProperties(fs.readFileSync(installer.serverPropertiesPath).toString());
+}
+
+/**
+ * Changes settings in the server.properties file, saving it to the active snapshot first.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object<String, String>} changes - The new value of each setting with the setting name as the key.
+ */
+async function updateServerProperties(installer, changes) {
+    let properties = readServerProperties(installer);
+    let before = formatProperties(properties);
+    for (let [key, value] of Object.entries(changes)) setProperty(properties, key, value);
+    let contents = formatProperties(properties);
+    if (contents == before) return;
+    await backupFolder(installer, installer.serverPropertiesPath);
+    await fs.outputFile(installer.serverPropertiesPath, contents);
+}
+
+/**
+ * Parses the contents of a properties file, keeping comments, blank lines and the line endings.
+ * @param {String} text - The contents of the file.
+ * @returns {ServerProperties} The lines of the file.
+ */
+function parseProperties(text) {
+    let eol = text.includes('\r\n') ? '\r\n' : '\n';
+    let lines = text.split(/\r?\n/);
+    let finalNewline = lines.length > 1 && lines[lines.length - 1] == '';
+    if (finalNewline) lines.pop();
+    lines = lines.map(raw => {
+        let trimmed = raw.trim();
+        if (trimmed == '' || trimmed.startsWith('#') || trimmed.startsWith('!')) return {raw, key: null, value: null};
+        let separator = trimmed.search(/[=:]/);
+        if (separator == -1) return {raw, key: trimmed, value: ''};
+        return {raw, key: trimmed.slice(0, separator).trim(), value: trimmed.slice(separator + 1).trim()};
+    });
+    return {lines, eol, finalNewline};
+}
+
+/**
+ * Creates the contents of a properties file from its parsed lines.
+ * @param {ServerProperties} properties - The parsed file.
+ * @returns {String} The contents of the file. Unchanged lines are written exactly as they were read.
+ */
+function formatProperties(properties) {
+    return properties.lines.map(line => line.raw).join(properties.eol) + (properties.finalNewline ? properties.eol : '');
+}
+
+/**
+ * Reads a setting from a parsed properties file. When a setting is listed more than once the last value is used.
+ * @param {ServerProperties} properties - The parsed file.
+ * @param {String} key - The name of the setting.
+ * @returns {String} The value of the setting or null if it is not set.
+ */
+function getProperty(properties, key) {
+    let line = properties.lines.filter(other => other.key == key).pop();
+    return line ? line.value : null;
+}
+
+/**
+ * Changes a setting in a parsed properties file, adding it to the end of the file if it is not set.
+ * @param {ServerProperties} properties - The parsed file.
+ * @param {String} key - The name of the setting.
+ * @param {String} value - The new value of the setting.
+ */
+function setProperty(properties, key, value) {
+    let line = properties.lines.filter(other => other.key == key).pop();
+    if (line && line.value == value) return;
+    if (!line) {
+        line = {key};
+        properties.lines.push(line);
+        properties.finalNewline = true;
+    }
+    Object.assign(line, {value, raw: `${key}=${value}`});
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller experiment functions
+
+/**
+ * Finds the experiments a pack needs from its script dependencies and module types.
+ * @param {Object} manifest - The parsed manifest.json file of a pack.
+ * @returns {Object<String, String>} The reason each experiment is needed with the experiment key as the key.
+ */
+function getRequiredExperiments(manifest) {
+    let required = {};
+    let modules = manifest.modules || manifest.header.modules || [];
+    for (let dependency of Array.isArray(manifest.dependencies) ? manifest.dependencies : []) {
+        if (!dependency || typeof dependency != 'object') continue;
+        let name = dependency.module_name || '';
+        let version = Array.isArray(dependency.version) ? '' : String(dependency.version || '');
+
+        // Beta versions of the script modules and the GameTest framework are only available with the Beta APIs experiment.
+        if (name.startsWith('@minecraft/') && version.includes('beta')) required.gametest = `It uses ${name} ${version}.`;
+        if (['@minecraft/server-gametest', 'mojang-gametest'].includes(name) || dependency.uuid == '6f4b6893-1bb6-42fd-b458-7fa3d0c89616') {
+            required.gametest = 'It uses the GameTest framework.';
+        }
+    }
+    if (modules.some(module => module && String(module.type).toLowerCase() == 'javascript')) required.gametest = 'It has a javascript module.';
+    return required;
+}
+
+/**
+ * Enables the experiments a pack needs in the active world, saving level.dat to the active snapshot first.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object} manifest - The parsed manifest.json file of a pack.
+ */
+async function enableRequiredExperiments(installer, manifest) {
+    let required = getRequiredExperiments(manifest);
+    if (Object.keys(required).length == 0) return;
+    if (!fs.existsSync(installer.levelDatPath)) {
+        log.warning(`BDSAddonInstaller - The ${manifest.header.name} pack needs experiments, but ${installer.worldName} has no level.dat yet. Start the server once and install the pack again.`);
+        return;
+    }
+    let enabled = readExperiments(readLevelDat(installer.levelDatPath));
+    let missing = Object.keys(required).filter(key => !enabled[key]);
+    if (missing.length == 0) return;
+    await updateExperiments(installer, Object.fromEntries(missing.map(key => [key, true])));
+    missing.forEach(key => log.general(`BDSAddonInstaller - Enabled the ${experimentNames[key] || key} experiment in ${installer.worldName} for the ${manifest.header.name} pack. ${required[key]}`));
+}
+
+/**
+ * Reads the experiment toggles from a parsed level.dat file.
+ * @param {LevelDat} levelDat - The parsed level.dat file.
+ * @returns {Object<String, Boolean>} The state of each experiment with the experiment key as the key.
+ */
+function readExperiments(levelDat) {
+    let experiments = levelDat.root.value.find(tag => tag.name == 'experiments' && tag.type == nbtTypes.compound);
+    let results = {};
+    if (!experiments) return results;
+    for (let tag of experiments.value) {
+        if (tag.type == nbtTypes.byte && !experimentFlags.includes(tag.name)) results[tag.name] = tag.value != 0;
+    }
+    return results;
+}
+
+/**
+ * Changes experiment toggles in the level.dat of the active world, keeping every other tag intact.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object<String, Boolean>} changes - The new state of each experiment with the experiment key as the key.
+ */
+async function updateExperiments(installer, changes) {
+    let levelDat = readLevelDat(installer.levelDatPath);
+    let root = levelDat.root.value;
+    let experiments = root.find(tag => tag.name == 'experiments' && tag.type == nbtTypes.compound);
+    if (!experiments) {
+        experiments = {type: nbtTypes.compound, name: 'experiments', value: []};
+        root.push(experiments);
+    }
+    let setByte = (name, value) => {
+        let tag = experiments.value.find(other => other.name == name);
+        if (tag) Object.assign(tag, {type: nbtTypes.byte, value});
+        else experiments.value.push({type: nbtTypes.byte, name, value});
+    };
+    for (let [key, enabled] of Object.entries(changes)) setByte(key, enabled ? 1 : 0);
+
+    // The game records that experiments were used, this can not be undone.
+    if (Object.values(changes).some(enabled => enabled)) experimentFlags.forEach(flag => setByte(flag, 1));
+    let contents = writeLevelDat(levelDat);
+    if (contents.equals(fs.readFileSync(installer.levelDatPath))) return;
+    await backupFolder(installer, installer.levelDatPath);
+    await fs.outputFile(installer.levelDatPath, contents);
+}
+
+/**
+ * Reads a Bedrock level.dat file. The file has an 8 byte header followed by little-endian NBT.
+ * @param {String} file - The path to the level.dat file.
+ * @returns {LevelDat} The storage version from the header and the root compound tag.
+ */
+function readLevelDat(file) {
+    if (!fs.existsSync(file)) throw new Error('Unable to read level.dat. The file does not exist, start the server once to create the world.\n' + file);
+    let buffer = fs.readFileSync(file);
+    try {
+        if (buffer.length < 8) throw new Error('The file is too short.');
+        let version = buffer.readInt32LE(0);
+        let length = buffer.readInt32LE(4);
+        if (length != buffer.length - 8) throw new Error(`The header lists ${length} bytes but the file has ${buffer.length - 8}.`);
+        let root = readNBT(buffer.subarray(8));
+        if (root.type != nbtTypes.compound) throw new Error('The root tag is not a compound.');
+        return {version, root};
+    } catch (err) {
+        throw new Error(`Unable to read level.dat. ${err.message}\n${file}`);
+    }
+}
+
+/**
+ * Creates the contents of a Bedrock level.dat file.
+ * @param {LevelDat} levelDat - The storage version and the root compound tag.
+ * @returns {Buffer} The 8 byte header followed by the little-endian NBT.
+ */
+function writeLevelDat(levelDat) {
+    let nbt = writeNBT(levelDat.root);
+    let header = Buffer.alloc(8);
+    header.writeInt32LE(levelDat.version, 0);
+    header.writeInt32LE(nbt.length, 4);
+    return Buffer.concat([header, nbt]);
+}
+
+/**
+ * Reads a named little-endian NBT tag.
+ * @param {Buffer} buffer - The NBT data.
+ * @returns {NBTTag} The tag with its children. Compound values are arrays of named tags so their order is kept.
+ */
+function readNBT(buffer) {
+    let offset = 0;
+    let take = size => {
+        if (offset + size > buffer.length) throw new Error('The NBT data ended unexpectedly.');
+        offset += size;
+        return offset - size;
+    };
+    let readString = () => {
+        let length = buffer.readUInt16LE(take(2));
+        let start = take(length);
+        return buffer.toString('utf8', start, start + length);
+    };
+    let readArray = (size, read) => {
+        let count = buffer.readInt32LE(take(4));
+        return Array.from({length: count}, () => read(take(size)));
+    };
+    let readValue = type => {
+        switch (type) {
+            case nbtTypes.byte: return buffer.readInt8(take(1));
+            case nbtTypes.short: return buffer.readInt16LE(take(2));
+            case nbtTypes.int: return buffer.readInt32LE(take(4));
+            case nbtTypes.long: return buffer.readBigInt64LE(take(8));
+            case nbtTypes.float: return buffer.readFloatLE(take(4));
+            case nbtTypes.double: return buffer.readDoubleLE(take(8));
+            case nbtTypes.byteArray: return readArray(1, position => buffer.readInt8(position));
+            case nbtTypes.string: return readString();
+            case nbtTypes.list: {
+                let itemType = buffer.readUInt8(take(1));
+                let count = buffer.readInt32LE(take(4));
+                let items = [];
+                for (let index = 0; index < count; index++) items.push(readValue(itemType));
+                return {itemType, items};
+            }
+            case nbtTypes.compound: {
+                let tags = [];
+                for (let tag = readTag(); tag; tag = readTag()) tags.push(tag);
+                return tags;
+            }
+            case nbtTypes.intArray: return readArray(4, position => buffer.readInt32LE(position));
+            case nbtTypes.longArray: return readArray(8, position => buffer.readBigInt64LE(position));
+            default: throw new Error('Unknown NBT tag type, ' + type);
+        }
+    };
+    let readTag = () => {
+        let type = buffer.readUInt8(take(1));
+        if (type == nbtTypes.end) return null;
+        let name = readString();
+        return {type, name, value: readValue(type)};
+    };
+    let root = readTag();
+    if (!root) throw new Error('The NBT data is empty.');
+    return root;
+}
+
+/**
+ * Creates little-endian NBT data from a named tag.
+ * @param {NBTTag} tag - The tag to write, in the format returned by readNBT.
+ * @returns {Buffer} The NBT data.
+ */
+function writeNBT(tag) {
+    let parts = [];
+    let write = (size, writeTo) => {
+        let part = Buffer.alloc(size);
+        writeTo(part);
+        parts.push(part);
+    };
+    let writeString = value => {
+        let text = Buffer.from(value, 'utf8');
+        write(2, part => part.writeUInt16LE(text.length, 0));
+        parts.push(text);
+    };
+    let writeArray = (values, size, writeItem) => {
+        write(4, part => part.writeInt32LE(values.length, 0));
+        write(values.length * size, part => values.forEach((value, index) => writeItem(part, value, index * size)));
+    };
+    let writeValue = (type, value) => {
+        switch (type) {
+            case nbtTypes.byte: return write(1, part => part.writeInt8(value, 0));
+            case nbtTypes.short: return write(2, part => part.writeInt16LE(value, 0));
+            case nbtTypes.int: return write(4, part => part.writeInt32LE(value, 0));
+            case nbtTypes.long: return write(8, part => part.writeBigInt64LE(BigInt(value), 0));
+            case nbtTypes.float: return write(4, part => part.writeFloatLE(value, 0));
+            case nbtTypes.double: return write(8, part => part.writeDoubleLE(value, 0));
+            case nbtTypes.byteArray: return writeArray(value, 1, (part, item, position) => part.writeInt8(item, position));
+            case nbtTypes.string: return writeString(value);
+            case nbtTypes.list:
+                write(1, part => part.writeUInt8(value.itemType, 0));
+                write(4, part => part.writeInt32LE(value.items.length, 0));
+                return value.items.forEach(item => writeValue(value.itemType, item));
+            case nbtTypes.compound:
+                value.forEach(writeTag);
+                return write(1, part => part.writeUInt8(nbtTypes.end, 0));
+            case nbtTypes.intArray: return writeArray(value, 4, (part, item, position) => part.writeInt32LE(item, position));
+            case nbtTypes.longArray: return writeArray(value, 8, (part, item, position) => part.writeBigInt64LE(BigInt(item), position));
+            default: throw new Error('Unknown NBT tag type, ' + type);
+        }
+    };
+    let writeTag = child => {
+        write(1, part => part.writeUInt8(child.type, 0));
+        writeString(child.name);
+        writeValue(child.type, child.value);
+    };
+    writeTag(tag);
+    return Buffer.concat(parts);
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller doctor functions
+
+/**
+ * Finds the problems in the pack JSON files and pack folders of the active world and the server.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {Object[]} Each problem with a repair function if it can be fixed {type, file, uuid, message, fixed, error, repair}.
+ */
+async function diagnose(installer) {
+    let problems = [];
+    let add = (type, file, uuid, message, repair) => problems.push({type, file, uuid, message, fixed: false, error: null, repair: repair || null});
+    let stacks = [
+        {file: installer.worldResourcesJsonPath, entries: installer.worldResourcesJSON, directory: installer.worldResourcesDir, worldPacks: installer.installedWorldResources, serverPacks: installer.installedServerResources},
+        {file: installer.worldBehaviorsJsonPath, entries: installer.worldBehaviorsJSON, directory: installer.worldBehaviorsDir, worldPacks: installer.installedWorldBehaviors, serverPacks: installer.installedServerBehaviors}
+    ];
+    let directories = [installer.worldResourcesDir, installer.worldBehaviorsDir, installer.serverResourcesDir, installer.serverBehaviorsDir];
+    let folders = new Map();
+    for (let directory of directories) folders.set(directory, await readPackFolders(installer, directory));
+    let isDisabled = (uuid, server) => {
+        let record = installer.ledger.get(uuid);
+        let disabled = record && record.worlds[installer.worldName] && record.worlds[installer.worldName].disabled;
+        return Boolean(disabled && (!server || disabled.serverEntry));
+    };
+
+    // Corrupt files are rebuilt from the pack folders.
+    for (let file of [installer.serverPacksJsonPath, installer.worldResourcesJsonPath, installer.worldBehaviorsJsonPath]) {
+        if (!installer.corruptFiles.has(file)) continue;
+        add('corrupt-json', file, null, `${path.relative(installer.serverPath, file)} could not be read. ${installer.corruptFiles.get(file)}`, async () => {
+            let entries = file == installer.serverPacksJsonPath ? installer.serverPacksJSON : file == installer.worldResourcesJsonPath ? installer.worldResourcesJSON : installer.worldBehaviorsJSON;
+            entries.splice(0, entries.length, ...rebuildPackJSON(installer, file, folders));
+            installer.corruptFiles.delete(file);
+            await writeJSON(installer, file, entries);
+        });
+    }
+
+    // Check the world pack JSON files against the pack folders.
+    for (let {file, entries, directory, worldPacks, serverPacks} of stacks) {
+        if (installer.corruptFiles.has(file)) continue;
+        let relativeFile = path.relative(installer.serverPath, file);
+        findDuplicateEntries(entries, 'pack_id').forEach(uuid => {
+            add('duplicate-uuid', file, uuid, `${uuid} is listed more than once in ${relativeFile}.`, () => removeDuplicateEntries(installer, file, entries, 'pack_id', uuid));
+        });
+        for (let uuid of new Set(entries.map(entry => entry.pack_id))) {
+            if (worldPacks.has(uuid) || serverPacks.has(uuid)) continue;
+            add('missing-pack', file, uuid, `${uuid} is listed in ${relativeFile} but no pack folder was found.`, () => removeEntries(installer, file, entries, entry => entry.pack_id == uuid));
+        }
+        for (let pack of worldPacks.values()) {
+            if (findIndexOf(entries, 'pack_id', pack.uuid) != -1 || isDisabled(pack.uuid)) continue;
+            let message = `${path.relative(installer.serverPath, pack.location)} is not listed in ${relativeFile}.`;
+            let record = installer.ledger.get(pack.uuid);
+            if (!record || !record.worlds[installer.worldName]) {
+                add('unlisted-pack', pack.location, pack.uuid, message + ' It was not installed by BDSAddonInstaller, list it or delete the folder.');
+                continue;
+            }
+            add('unlisted-pack', pack.location, pack.uuid, message, async () => {
+                insertPackEntry(installer, entries, {pack_id: pack.uuid, version: pack.version}, -1, 0);
+                await writeJSON(installer, file, entries);
+            });
+        }
+
+        // The world copy and server copy of a pack should match, the older copy is replaced with the newer copy.
+        for (let worldPack of worldPacks.values()) {
+            let serverPack = serverPacks.get(worldPack.uuid);
+            if (!serverPack || compareVersions(worldPack.version, serverPack.version) == 0) continue;
+            let message = `The world copy of ${worldPack.name} is version ${formatVersion(worldPack.version)} but the server copy is version ${formatVersion(serverPack.version)}.`;
+            add('version-mismatch', worldPack.location, worldPack.uuid, message, () => replaceOlderCopy(installer, worldPack, serverPack, file, entries));
+        }
+    }
+
+    // Check valid_known_packs.json against the server pack folders.
+    if (!installer.corruptFiles.has(installer.serverPacksJsonPath)) {
+        let relativeFile = path.relative(installer.serverPath, installer.serverPacksJsonPath);
+        findDuplicateEntries(installer.serverPacksJSON, 'uuid').forEach(uuid => {
+            add('duplicate-uuid', installer.serverPacksJsonPath, uuid, `${uuid} is listed more than once in ${relativeFile}.`, () => removeDuplicateEntries(installer, installer.serverPacksJsonPath, installer.serverPacksJSON, 'uuid', uuid));
+        });
+        for (let entry of installer.serverPacksJSON) {
+            if (!entry.path || fs.existsSync(path.join(installer.serverPath, entry.path))) continue;
+            add('missing-path', installer.serverPacksJsonPath, entry.uuid || null, `${entry.path} is listed in ${relativeFile} but the folder does not exist.`, () => {
+                return removeEntries(installer, installer.serverPacksJsonPath, installer.serverPacksJSON, other => other.path == entry.path);
+            });
+        }
+        for (let pack of [...installer.installedServerResources.values(), ...installer.installedServerBehaviors.values()]) {
+            if (findIndexOf(installer.serverPacksJSON, 'uuid', pack.uuid) != -1 || isDisabled(pack.uuid, true)) continue;
+            let rawPath = path.relative(installer.serverPath, pack.location).split(path.sep).join('/');
+            add('unlisted-pack', pack.location, pack.uuid, `${rawPath} is not listed in ${relativeFile}.`, async () => {
+                insertPackEntry(installer, installer.serverPacksJSON, {file_system: 'RawPath', path: rawPath, uuid: pack.uuid, version: formatVersion(pack.version)}, -1, 1);
+                await writeJSON(installer, installer.serverPacksJsonPath, installer.serverPacksJSON);
+            });
+        }
+    }
+
+    // Check each pack folder for a readable manifest and uuids used by more than one folder.
+    for (let [directory, packFolders] of folders) {
+        for (let folder of packFolders.filter(folder => !folder.manifest)) {
+            let message = `${path.relative(installer.serverPath, folder.location)} is not a pack. ${folder.error}`;
+            let isEmpty = !hasFiles(folder.location);
+            add('missing-manifest', folder.location, null, isEmpty ? message + ' The folder is empty.' : message, isEmpty ? async () => {
+                await backupFolder(installer, folder.location);
+                await fs.remove(folder.location);
+            } : null);
+        }
+        let uuids = packFolders.filter(folder => folder.manifest).map(folder => ({uuid: folder.manifest.header.uuid}));
+        for (let uuid of findDuplicateEntries(uuids, 'uuid')) {
+            let locations = packFolders.filter(folder => folder.manifest && folder.manifest.header.uuid == uuid).map(folder => path.basename(folder.location));
+            add('duplicate-uuid', directory, uuid, `${uuid} is used by more than one folder in ${path.relative(installer.serverPath, directory)}: ${locations.join(', ')}. Only the newest is used.`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Creates the entries of a pack JSON file from the pack folders that belong in it.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} file - The path to valid_known_packs.json or one of the world pack JSON files.
+ * @param {Map<String, PackFolder[]>} folders - The pack folders of each directory.
+ * @returns {Object[]} The entries for the file. Disabled packs are left out of the world files.
+ */
+function rebuildPackJSON(installer, file, folders) {
+    let read = directory => folders.get(directory).filter(folder => folder.manifest);
+    if (file == installer.serverPacksJsonPath) {
+        let entries = [{file_version: 2}];
+        for (let folder of read(installer.serverResourcesDir).concat(read(installer.serverBehaviorsDir))) {
+            let rawPath = path.relative(installer.serverPath, folder.location).split(path.sep).join('/');
+            entries.push({file_system: 'RawPath', path: rawPath, uuid: folder.manifest.header.uuid, version: formatVersion(getManifestVersion(folder.manifest))});
+        }
+        return entries;
+    }
+    let directory = file == installer.worldResourcesJsonPath ? installer.worldResourcesDir : installer.worldBehaviorsDir;
+    return read(directory).filter(folder => {
+        let record = installer.ledger.get(folder.manifest.header.uuid);
+        return !(record && record.worlds[installer.worldName] && record.worlds[installer.worldName].disabled);
+    }).map(folder => ({pack_id: folder.manifest.header.uuid, version: getManifestVersion(folder.manifest)}));
+}
+
+/**
+ * Finds the values of a key that are used by more than one entry.
+ * @param {Object[]} entries - The entries to check.
+ * @param {String} key - The key to compare.
+ * @returns {String[]} Each duplicated value.
+ */
+function findDuplicateEntries(entries, key) {
+    let seen = new Set();
+    let duplicates = new Set();
+    entries.forEach(entry => {
+        if (entry[key] == undefined) return;
+        if (seen.has(entry[key])) duplicates.add(entry[key]);
+        seen.add(entry[key]);
+    });
+    return Array.from(duplicates);
+}
+
+/**
+ * Removes every entry after the first entry with the provided value and saves the file.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} file - The path to the pack JSON file.
+ * @param {Object[]} entries - The entries of the file.
+ * @param {String} key - The key to compare.
+ * @param {String} value - The duplicated value.
+ */
+async function removeDuplicateEntries(installer, file, entries, key, value) {
+    let first = findIndexOf(entries, key, value);
+    await removeEntries(installer, file, entries, (entry, index) => entry[key] == value && index != first);
+}
+
+/**
+ * Removes the matching entries from a pack JSON file and saves the file.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} file - The path to the pack JSON file.
+ * @param {Object[]} entries - The entries of the file.
+ * @param {Function} matches - Returns true for the entries to remove.
+ */
+async function removeEntries(installer, file, entries, matches) {
+    let remaining = entries.filter((entry, index) => !matches(entry, index));
+    if (remaining.length == entries.length) return;
+    entries.splice(0, entries.length, ...remaining);
+    await writeJSON(installer, file, entries);
+}
+
+/**
+ * Replaces the older of the world & server copies of a pack with the newer copy, updating the versions listed for the pack.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {PackData} worldPack - The copy of the pack installed to the active world.
+ * @param {PackData} serverPack - The copy of the pack installed to the server.
+ * @param {String} file - The path to the world pack JSON file of the pack.
+ * @param {Object[]} entries - The entries of the world pack JSON file.
+ */
+async function replaceOlderCopy(installer, worldPack, serverPack, file, entries) {
+    let [newer, older] = compareVersions(worldPack.version, serverPack.version) > 0 ? [worldPack, serverPack] : [serverPack, worldPack];
+    await backupFolder(installer, older.location);
+    await fs.remove(older.location);
+    await fs.copy(newer.location, older.location);
+
+    // List the new version in the JSON files & ledger.
+    let worldEntries = entries.filter(entry => entry.pack_id == newer.uuid);
+    let serverEntries = installer.serverPacksJSON.filter(entry => entry.uuid == newer.uuid);
+    worldEntries.forEach(entry => entry.version = newer.version);
+    serverEntries.forEach(entry => entry.version = formatVersion(newer.version));
+    if (worldEntries.length > 0) await writeJSON(installer, file, entries);
+    if (serverEntries.length > 0) await writeJSON(installer, installer.serverPacksJsonPath, installer.serverPacksJSON);
+    let record = installer.ledger.get(newer.uuid);
+    if (record) {
+        record.version = newer.version;
+        await saveLedger(installer);
+    }
+}
+
+/**
+ * Checks if a folder or any of its subfolders contain a file.
+ * @param {String} folder - The folder to check.
+ * @returns {Boolean} True if a file was found.
+ */
+function hasFiles(folder) {
+    return fs.readdirSync(folder).some(file => {
+        let location = path.join(folder, file);
+        return fs.statSync(location).isDirectory() ? hasFiles(location) : true;
+    });
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller conflict functions
+
+/**
+ * Checks the packs about to be installed for conflicts, logging a warning for each conflict they are part of.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String[]} locations - The packs, addons and folders about to be installed.
+ * @param {InstallSummary} summary - The summary to add the conflicts to.
+ * NOTE: Conflicts never stop the install, the pack order decides which pack is used.
+ */
+function checkConflicts(installer, locations, summary) {
+    try {
+        summary.conflicts = findPackConflicts(installer, locations).filter(conflict => conflict.packs.some(pack => pack.pending));
+    } catch (err) {
+        return log.warning('BDSAddonInstaller - Unable to check the packs for conflicts. ' + err.message);
+    }
+    summary.conflicts.forEach(conflict => log.warning('BDSAddonInstaller - ' + conflict.message));
+}
+
+/**
+ * Finds the files and identifiers provided by more than one pack in the pack stacks of the active world.
+ * The packs in the provided sources are placed in the stacks where installing them would put them.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String[]} locations - The packs, addons and folders waiting to be installed.
+ * @returns {Conflict[]} Each conflict, resource packs first.
+ */
+function findPackConflicts(installer, locations) {
+    // Read the packs waiting to be installed. Only the newest copy of each pack would be installed.
+    let sourcePacks = [];
+    for (let location of locations) {
+        try {
+            checkPackFile(installer, location, true);
+            sourcePacks = sourcePacks.concat(inspectPackSource(location, true));
+        } catch (err) {
+            log.detail(`BDSAddonInstaller - Skipping ${path.basename(location)}. ${err.message}`);
+        }
+    }
+    let pendingPacks = sortByDependencies(installer, selectNewestPacks(sourcePacks).newest);
+
+    let conflicts = [];
+    let stacks = [
+        {type: 'resources', entries: installer.worldResourcesJSON, worldPacks: installer.installedWorldResources, serverPacks: installer.installedServerResources},
+        {type: 'data', entries: installer.worldBehaviorsJSON, worldPacks: installer.installedWorldBehaviors, serverPacks: installer.installedServerBehaviors}
+    ];
+    for (let {type, entries, worldPacks, serverPacks} of stacks) {
+        // Start with the packs listed in the world, the first pack has the highest priority.
+        let stack = [];
+        for (let entry of entries) {
+            let pack = worldPacks.get(entry.pack_id) || serverPacks.get(entry.pack_id);
+            if (pack) stack.push({name: pack.name, uuid: pack.uuid, version: pack.version, installed: true, pending: false, source: pack.location, entries: () => readFolderEntries(pack.location)});
+        }
+
+        // Place the waiting packs using the same decision as installAddon. Upgrades keep the position of the installed copy.
+        for (let pack of pendingPacks) {
+            let manifest = pack.manifest;
+            let uuid = manifest.header.uuid;
+            let packType = null;
+            try { packType = getPackType(manifest, pack.file) } catch (err) {}
+            if (pack.error || packType != type) continue;
+
+            // Disabled packs stay out of the stack when they are upgraded.
+            let record = installer.ledger.get(uuid);
+            if (record && record.worlds[installer.worldName] && record.worlds[installer.worldName].disabled) continue;
+            if (!decideInstall(installer, manifest, pack.hash, worldPacks.get(uuid), serverPacks.get(uuid), record).world) continue;
+
+            let index = stack.findIndex(installed => installed.uuid == uuid);
+            let packData = {name: manifest.header.name, uuid, version: getManifestVersion(manifest), installed: index != -1, pending: true, source: pack.file, entries: () => pack.entries};
+            if (index != -1) stack[index] = packData;
+            else if (installer.insertPriority == 'bottom') stack.push(packData);
+            else stack.unshift(packData);
+        }
+
+        // Group the files and identifiers of every pack. Packs are read in priority order, so the first pack of each group wins.
+        let groups = new Map();
+        stack.forEach((pack, index) => {
+            for (let {type: conflictType, key, file} of readConflictKeys(pack.entries(), type)) {
+                let id = conflictType + ':' + key;
+                if (!groups.has(id)) groups.set(id, {type: conflictType, key, packType: type, packs: []});
+                let packs = groups.get(id).packs;
+                if (packs.some(other => other.uuid == pack.uuid)) continue;
+                packs.push({position: index + 1, name: pack.name, uuid: pack.uuid, version: pack.version, installed: pack.installed, pending: pack.pending, source: pack.source, file});
+            }
+        });
+        for (let conflict of groups.values()) {
+            if (conflict.packs.length < 2) continue;
+            let winner = conflict.packs[0];
+            conflict.winner = {name: winner.name, uuid: winner.uuid, position: winner.position};
+            conflict.message = `The ${conflict.type.replace('_', ' ')} ${conflict.key} is provided by ${conflict.packs.map(pack => pack.name).join(', ')}. ` +
+                `${winner.name} is used, it has the highest priority in ${installer.worldName}.`;
+            conflicts.push(conflict);
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * Reads the files and identifiers of a pack that would override the same file or identifier in another pack.
+ * Resource packs override the files of lower packs. Behavior packs override entities, items, blocks and recipes with the same identifier, and loot tables with the same path.
+ * @param {PackEntry[]} entries - The files of the pack.
+ * @param {String} packType - The pack type, either resources or data.
+ * @returns {Object[]} The type of each key, the key and the file it was found in [{type: String, key: String, file: String}].
+ * NOTE: Files the game combines from every pack, such as language files, are left out. Files that can not be parsed are skipped.
+ */
+function readConflictKeys(entries, packType) {
+    let keys = [];
+    for (let entry of entries) {
+        let name = entry.name;
+        if (path.posix.basename(name).startsWith('.')) continue;
+        if (packType == 'resources') {
+            if (!name.toLowerCase().startsWith('texts/') && !mergedPackFiles.includes(name.toLowerCase())) keys.push({type: 'file', key: name, file: name});
+            continue;
+        }
+        if (!/\.json$/i.test(name)) continue;
+        if (name.toLowerCase().startsWith('loot_tables/')) {
+            keys.push({type: 'loot_table', key: name, file: name});
+            continue;
+        }
+
+        let data = null;
+        try { data = JSON.parse(stripJsonComments(entry.read())) } catch (err) {}
+        if (!data || typeof data != 'object' || Array.isArray(data)) continue;
+        for (let tag of Object.keys(data)) {
+            let type = identifierTypes[tag] || (tag.startsWith('minecraft:recipe_') ? 'recipe' : null);
+            let description = type && data[tag] && data[tag].description;
+            if (description && description.identifier) keys.push({type, key: String(description.identifier), file: name});
+        }
+    }
+    return keys;
+}
+
+/**
+ * Lists the files of an unpacked pack, including the files in its subfolders.
+ * @param {String} folder - The pack folder.
+ * @param {String} prefix - Optional parameter with the subfolder to list, relative to the pack folder and ending with a slash.
+ * @returns {PackEntry[]} Each file in the pack.
+ */
+function readFolderEntries(folder, prefix = '') {
+    let entries = [];
+    for (let file of fs.readdirSync(path.join(folder, prefix))) {
+        let name = prefix + file;
+        let location = path.join(folder, name);
+        if (fs.statSync(location).isDirectory()) entries = entries.concat(readFolderEntries(folder, name + '/'));
+        else entries.push({name, read: () => fs.readFileSync(location).toString()});
+    }
+    return entries;
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller download functions
+
+/**
+ * Checks if a source is an http or https URL.
+ * @param {String} source - The path or URL of a pack source.
+ * @returns {Boolean} True if the source must be downloaded.
+ */
+function isRemoteSource(source) {
+    return typeof source == 'string' && /^https?:\/\//i.test(source);
+}
+
+/**
+ * Downloads each of the sources listed in the bds-addons.json file.
+ * @param {BDSAddonInstaller} installer - The installer emitting the pack events.
+ * @param {InstallSummary} summary - The summary to add sources that fail to download, or would be downloaded, to.
+ * @param {Boolean} cachedOnly - Optional parameter to only use the download cache. Sources that are not cached are added to the summary with the download action.
+ * @returns {String[]} The paths to the downloaded files.
+ */
+async function downloadConfigSources(installer, summary, cachedOnly) {
+    let sources = fs.existsSync(installer.configPath) ? readPackConfig(installer).sources : [];
+    let locations = [];
+    for (let source of sources) {
+        if (cachedOnly) {
+            let location = await findCachedDownload(installer, source.url, source.sha256);
+            if (location) locations.push(location);
+            else summary.packs.push(createPackResult(installer, {file: source.url, action: 'download'}));
+            continue;
+        }
+        try {
+            locations.push(await downloadSource(installer, source.url, source.sha256));
+        } catch (err) {
+            recordPackResult(installer, summary, {file: source.url, action: 'failed', error: err.message});
+        }
+    }
+    return locations;
+}
+
+/**
+ * Reads the download cache entry of a URL.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} url - The http or https URL of the pack, addon or zip file.
+ * @returns {Object} The {folder, metadataPath, cached} of the URL. The cached metadata is null if the file is not cached.
+ */
+async function readDownloadCache(installer, url) {
+    let folder = path.join(installer.downloadsPath, crypto.createHash('sha256').update(url).digest('hex'));
+    let metadataPath = path.join(folder, 'download.json');
+    let cached = null;
+    try { cached = await fs.readJson(metadataPath) } catch(err) {};
+    if (cached && !await fs.pathExists(path.join(folder, cached.file))) cached = null;
+    return {folder, metadataPath, cached};
+}
+
+/**
+ * Finds the cached download of a URL without making a request.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} url - The http or https URL of the pack, addon or zip file.
+ * @param {String} sha256 - Optional sha256 hash the cached file must match.
+ * @returns {String} The path to the cached file, or null if it is not cached or does not match the hash.
+ */
+async function findCachedDownload(installer, url, sha256) {
+    let {folder, cached} = await readDownloadCache(installer, url);
+    if (!cached || (sha256 && cached.sha256 != sha256.toLowerCase())) return null;
+    return path.join(folder, cached.file);
+}
+
+/**
+ * Downloads a pack source to the download cache, reusing the cached file while the ETag of the URL is unchanged.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} url - The http or https URL of the pack, addon or zip file.
+ * @param {String} sha256 - Optional sha256 hash the file must match. The cached file is used without a request when it matches.
+ * @returns {String} The path to the downloaded file.
+ */
+async function downloadSource(installer, url, sha256) {
+    let {folder, metadataPath, cached} = await readDownloadCache(installer, url);
+    if (cached && sha256 && cached.sha256 == sha256.toLowerCase()) {
+        log.detail(`BDSAddonInstaller - Using the cached download of ${url}`);
+        return path.join(folder, cached.file);
+    }
+
+    // Retry failed requests, except for responses that will not change such as 404.
+    let temporaryFile = path.join(folder, 'download.tmp');
+    let response;
+    for (let attempt = 0; !response; attempt++) {
+        try {
+            log.general(`BDSAddonInstaller - Downloading ${url}`);
+            response = await requestFile(installer, url, cached ? cached.etag : null, temporaryFile);
+        } catch (err) {
+            await fs.remove(temporaryFile);
+            if (attempt >= installer.downloadRetries || err.retry === false) throw new Error(`Unable to download ${url}. ${err.message}`);
+            log.warning(`BDSAddonInstaller - Failed to download ${url}, retrying. ${err.message}`);
+        }
+    }
+
+    // A 304 response means the cached file is still current.
+    let file = cached ? cached.file : null;
+    if (response.status != 304) {
+        if (cached) await fs.remove(path.join(folder, cached.file));
+        file = getDownloadName(url);
+        await fs.move(temporaryFile, path.join(folder, file), {overwrite: true});
+        let hash = await hashFile(path.join(folder, file));
+        await fs.writeJson(metadataPath, {url, etag: response.etag, file, sha256: hash, downloaded: new Date().toISOString()}, {spaces: 2});
+    } else {
+        log.detail(`BDSAddonInstaller - The cached download of ${url} is up to date.`);
+    }
+
+    // A download that does not match the expected hash is removed so it is downloaded again next time.
+    let location = path.join(folder, file);
+    if (sha256) {
+        try { await verifyChecksum(location, sha256) } catch (err) {
+            await fs.remove(folder);
+            throw err;
+        }
+    }
+    return location;
+}
+
+/**
+ * Requests a file, saving the response body to the destination.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} url - The http or https URL to request.
+ * @param {String} etag - The ETag of the cached copy or null.
+ * @param {String} destination - The path to save the file to.
+ * @param {Number} redirects - The number of redirects already followed.
+ * @returns {Promise<Object>} The {status, etag} of the response. The file is only saved when the status is 200.
+ */
+function requestFile(installer, url, etag, destination, redirects = 0) {
+    return new Promise(function(resolve, reject) {
+        let client = url.toLowerCase().startsWith('https:') ? https : http;
+        let headers = etag ? {'If-None-Match': etag} : {};
+        let request = client.get(url, {headers, timeout: installer.downloadTimeout}, response => {
+            let status = response.statusCode;
+            if ([301, 302, 303, 307, 308].includes(status) && response.headers.location) {
+                response.resume();
+                if (redirects >= 5) return reject(new Error('The URL redirected too many times.'));
+                return resolve(requestFile(installer, new URL(response.headers.location, url).href, etag, destination, redirects + 1));
+            }
+            if (status == 304) {
+                response.resume();
+                return resolve({status, etag});
+            }
+            if (status != 200) {
+                response.resume();
+                let err = new Error('The server responded with status ' + status);
+                err.retry = status >= 500 || status == 429;
+                return reject(err);
+            }
+
+            // Save the body, confirming the whole file was received.
+            fs.ensureDirSync(path.dirname(destination));
+            let file = fs.createWriteStream(destination);
+            let expected = parseInt(response.headers['content-length']);
+            response.on('error', err => file.destroy(err));
+            file.on('error', reject);
+            file.on('finish', () => {
+                if (!isNaN(expected) && file.bytesWritten != expected) return reject(new Error(`The download ended after ${file.bytesWritten} of ${expected} bytes.`));
+                resolve({status, etag: response.headers.etag || null});
+            });
+            response.pipe(file);
+        });
+        request.on('timeout', () => request.destroy(new Error(`The request timed out after ${installer.downloadTimeout}ms.`)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Confirms that a file matches the expected sha256 hash.
+ * @param {String} file - The path to the file to check.
+ * @param {String} sha256 - The expected sha256 hash.
+ */
+async function verifyChecksum(file, sha256) {
+    let hash = await hashFile(file);
+    if (hash != sha256.toLowerCase()) {
+        throw new Error(`The sha256 hash of ${path.basename(file)} does not match. Expected ${sha256.toLowerCase()} but found ${hash}.`);
+    }
+}
+
+/**
+ * Creates a file name for a download from its URL.
+ * @param {String} url - The URL of the download.
+ * @returns {String} The last part of the URL path, with .zip added if it is not a pack or addon file name.
+ */
+function getDownloadName(url) {
+    if (!isRemoteSource(url)) return path.basename(url);
+    let name = path.posix.basename(new URL(url).pathname);
+    try { name = decodeURIComponent(name) } catch(err) {};
+    name = name.replace(/[^\w.\- ]/g, '_') || 'download';
+    return archivePattern.test(name) ? name : name + '.zip';
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller export functions
+
+/**
+ * Finds the installed folder of each pack listed in the world pack JSON files of the active world.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String[]} types - Optional pack types to export, resources and/or data.
+ * @param {String[]} uuids - Optional uuids of the packs to export.
+ * @returns {PackData[]} The installed packs in world order with their type, resource packs first.
+ */
+function findExportPacks(installer, types, uuids) {
+    let stacks = [
+        {type: 'resources', entries: installer.worldResourcesJSON, worldPacks: installer.installedWorldResources, serverPacks: installer.installedServerResources},
+        {type: 'data', entries: installer.worldBehaviorsJSON, worldPacks: installer.installedWorldBehaviors, serverPacks: installer.installedServerBehaviors}
+    ];
+    let packs = [];
+    for (let {type, entries, worldPacks, serverPacks} of stacks) {
+        if (types && types.length > 0 && !types.includes(type)) continue;
+        for (let entry of entries) {
+            if (uuids && uuids.length > 0 && !uuids.includes(entry.pack_id)) continue;
+            let pack = worldPacks.get(entry.pack_id) || serverPacks.get(entry.pack_id);
+            if (!pack) {
+                log.warning(`BDSAddonInstaller - Skipping ${entry.pack_id}. The pack is listed in the world but its folder was not found.`);
+                continue;
+            }
+            packs.push(Object.assign({type}, pack));
+        }
+    }
+    return packs;
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller queue functions
+
+/**
+ * Runs the provided task once the tasks queued before it have finished, holding the server lock while it runs.
+ * The server is read again first if another process has changed it since it was last read.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Function} task - An async function that reads or changes the server.
+ * @returns {*} The result of the task.
+ */
+function enqueue(installer, task) {
+    installer.pendingTasks++;
+    let run = installer.queue.then(async () => {
+        let locked = false;
+        try {
+            await lockServer(installer);
+            locked = true;
+            if (await loadServerStamp(installer) != installer.serverStamp) {
+                log.detail('BDSAddonInstaller - The server was changed by another process, reading it again.');
+                await reloadServer(installer);
+            }
+            await loadInstalledPacks(installer);
+            return await task();
+        } finally {
+            installer.pendingTasks--;
+            if (installer.adoptPacks && fs.existsSync(installer.ledgerPath)) installer.adoptPacks = false;
+            if (locked) {
+                installer.serverStamp = await loadServerStamp(installer);
+                await unlockServer(installer);
+            }
+        }
+    });
+    installer.queue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Creates the lock file in the server root, stopping other installers and processes from changing the server at the same time.
+ * Waits up to the lockTimeout of the installer for a running owner to finish. Lock files left by installers that stopped are replaced.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ */
+async function lockServer(installer) {
+    let lock = {pid: process.pid, instance: installer.instanceId, created: new Date().toISOString()};
+    let started = Date.now();
+    let waiting = false;
+    while (true) {
+        try {
+            await fs.writeFile(installer.serverLockPath, JSON.stringify(lock, undefined, 2), {flag: 'wx'});
+            heldLocks.add(installer.instanceId);
+            return;
+        } catch (err) {
+            if (err.code != 'EEXIST') throw new Error('Unable to lock the server. ' + err.message);
+        }
+
+        // The lock may be removed by its owner after it was found, or read before its owner finished writing it.
+        let owner = null;
+        try { owner = await fs.readJson(installer.serverLockPath) } catch (err) {
+            if (err.code == 'ENOENT') continue;
+        }
+        let timedOut = Date.now() - started >= installer.lockTimeout;
+        if ((!owner || !Number.isInteger(owner.pid)) && timedOut) {
+            throw new Error(`Unable to lock the server. The lock file can not be read, delete it if no other installer is running. ${installer.serverLockPath}`);
+        }
+
+        // Locks left by an installer or process that stopped without removing them are replaced.
+        if (owner && Number.isInteger(owner.pid)) {
+            let stopped = owner.pid == process.pid ? !heldLocks.has(owner.instance) : !isProcessRunning(owner.pid);
+            if (stopped) {
+                log.warning(`BDSAddonInstaller - Replacing the server lock left by process ${owner.pid}, which is no longer changing the server.`);
+                await removeStaleLock(installer, owner);
+                continue;
+            }
+
+            // Wait for the owner to finish, it may be another installer in this process or another process.
+            let holder = owner.pid == process.pid ? 'another installer in this process' : `another process (pid ${owner.pid})`;
+            if (timedOut) throw new Error(`Unable to lock the server. It is being changed by ${holder} since ${owner.created}. Try again once it has finished.`);
+            if (!waiting) log.general(`BDSAddonInstaller - Waiting for ${holder} to finish changing the server.`);
+            waiting = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, lockRetryInterval));
+    }
+}
+
+/**
+ * Moves a lock file left by an installer that stopped out of the way, so a new lock can be created.
+ * The lock is renamed rather than deleted, so a lock created by another installer since the owner was read is put back instead of being lost.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object} owner - The contents of the lock file that was found to be stale.
+ */
+async function removeStaleLock(installer, owner) {
+    let stalePath = `${installer.serverLockPath}.${installer.instanceId}.stale`;
+    try { await fs.rename(installer.serverLockPath, stalePath) } catch (err) {
+        if (err.code == 'ENOENT') return;
+        throw new Error('Unable to lock the server. ' + err.message);
+    }
+    let moved = null;
+    try { moved = await fs.readJson(stalePath) } catch (err) {}
+    if (!moved || moved.pid != owner.pid || moved.instance != owner.instance || moved.created != owner.created) {
+        // Linking never overwrites, if yet another lock has been created since it is kept.
+        try { await fs.link(stalePath, installer.serverLockPath) } catch (err) {}
+    }
+    await fs.remove(stalePath);
+}
+
+/**
+ * Removes the lock file in the server root if it still belongs to the installer.
+ * A lock that was replaced by another installer, such as one that found this installer's lock stale, is left in place.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ */
+async function unlockServer(installer) {
+    heldLocks.delete(installer.instanceId);
+    let owner = null;
+    try { owner = await fs.readJson(installer.serverLockPath) } catch (err) {}
+    if (!owner || owner.pid != process.pid || owner.instance != installer.instanceId) {
+        log.warning('BDSAddonInstaller - The server lock was replaced by another installer while this installer held it, leaving it in place.');
+        return;
+    }
+    await fs.remove(installer.serverLockPath);
+}
+
+/**
+ * Checks if a process is still running.
+ * @param {Number} pid - The id of the process.
+ * @returns {Boolean} False if no process has the id.
+ */
+function isProcessRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM means the process exists but belongs to another user.
+        return err.code == 'EPERM';
+    }
+}
+
+/**
+ * Reads the modification times of the pack JSON files and the install ledger.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {String} A stamp that changes whenever one of the files is changed.
+ * NOTE: This function is Synchronous for use in the constructor, queued changes use loadServerStamp instead.
+ */
+function readServerStamp(installer) {
+    return getStampFiles(installer).map(file => fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0).join(',');
+}
+
+/**
+ * Reads the modification times of the pack JSON files and the install ledger without blocking.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {String} A stamp that changes whenever one of the files is changed.
+ */
+async function loadServerStamp(installer) {
+    let times = await Promise.all(getStampFiles(installer).map(file => fs.stat(file).then(stats => stats.mtimeMs, () => 0)));
+    return times.join(',');
+}
+
+/**
+ * Returns the files included in the server stamp.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {String[]} The paths to the pack JSON files and the install ledger.
+ */
+function getStampFiles(installer) {
+    return [installer.serverPacksJsonPath, installer.worldResourcesJsonPath, installer.worldBehaviorsJsonPath, installer.ledgerPath];
+}
+
+/**
+ * Reads the pack JSON files, installed packs and install ledger of the server and active world again without blocking.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ */
+async function reloadServer(installer) {
+    installer.serverPacksJSON = await loadPackJSON(installer, installer.serverPacksJsonPath);
+    installer.installedServerResources = null;
+    installer.installedServerBehaviors = null;
+    installer.ledger = await loadLedger(installer);
+    await changeWorld(installer, installer.worldName);
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller snapshot functions
+
+/**
+ * Runs the provided action after taking a snapshot of the pack JSON files.
+ * Pack folders are added to the snapshot as they are replaced or deleted.
+ * If the action fails the server is restored from the snapshot, otherwise old snapshots are pruned.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Function} action - An async function that makes changes to the server.
+ * @returns {*} The result of the action.
+ */
+async function transaction(installer, action) {
+    installer.activeSnapshot = await createSnapshot(installer);
+    let snapshot = installer.activeSnapshot;
+    try {
+        let result = await action();
+        installer.activeSnapshot = null;
+        if (snapshot.changes == 0) {
+            // Nothing changed, there is nothing to restore.
+            await fs.remove(path.join(installer.snapshotsPath, snapshot.id));
+        } else {
+            snapshot.status = 'complete';
+            await saveSnapshot(installer, snapshot);
+            await pruneSnapshots(installer);
+        }
+        return result;
+    } catch (err) {
+        installer.activeSnapshot = null;
+        if (snapshot.changes > 0) {
+            log.error('BDSAddonInstaller - The run failed, restoring snapshot ' + snapshot.id);
+            await restoreSnapshot(installer, snapshot);
+        }
+        await fs.remove(path.join(installer.snapshotsPath, snapshot.id));
+        throw err;
+    }
+}
+
+/**
+ * Creates a new snapshot containing copies of the pack JSON files and the install ledger.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {Snapshot} The new snapshot.
+ */
+async function createSnapshot(installer) {
+    // Runs that were stopped before finishing, such as when the process was killed, are undone before the server is changed again.
+    // The server lock is held, so a running snapshot can not belong to a run that is still in progress.
+    for (let unfinished of readSnapshots(installer).filter(snapshot => snapshot.status == 'running')) {
+        log.warning(`BDSAddonInstaller - The run from snapshot ${unfinished.id} did not finish, restoring the server to undo it.`);
+        await restoreSnapshot(installer, unfinished);
+        await fs.remove(path.join(installer.snapshotsPath, unfinished.id));
+    }
+
+    // Snapshots created in the same millisecond are given a counter, so they never share a folder.
+    let created = new Date();
+    let baseId = created.toISOString().replace(/[:.]/g, '-');
+    let id = baseId;
+    await fs.ensureDir(installer.snapshotsPath);
+    for (let count = 1; ; count++) {
+        try { await fs.mkdir(path.join(installer.snapshotsPath, id)); break } catch (err) {
+            if (err.code != 'EEXIST') throw err;
+            id = `${baseId}-${count}`;
+        }
+    }
+    let snapshot = {id, created: created.toISOString(), world: installer.worldName, status: 'running', changes: 0, files: [], missingFiles: [], folders: [], createdFolders: []};
+    for (let file of [installer.serverPacksJsonPath, installer.worldResourcesJsonPath, installer.worldBehaviorsJsonPath, installer.ledgerPath]) {
+        let relativePath = path.relative(installer.serverPath, file);
+        if (await fs.exists(file)) {
+            await fs.copy(file, path.join(installer.snapshotsPath, id, 'files', relativePath));
+            snapshot.files.push(relativePath);
+        } else {
+            snapshot.missingFiles.push(relativePath);
+        }
+    }
+    await saveSnapshot(installer, snapshot);
+    return snapshot;
+}
+
+/**
+ * Adds a pack folder to the active snapshot before it is replaced or deleted.
+ * Folders that do not exist yet are recorded so they can be deleted when restoring.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} location - The full path to the pack folder. Single files, such as level.dat, are also supported.
+ */
+async function backupFolder(installer, location) {
+    if (!installer.activeSnapshot) return;
+    let relativePath = path.relative(installer.serverPath, location);
+    installer.activeSnapshot.changes++;
+    if (installer.activeSnapshot.folders.includes(relativePath) || installer.activeSnapshot.createdFolders.includes(relativePath)) return;
+    if (await fs.exists(location)) {
+        await fs.copy(location, path.join(installer.snapshotsPath, installer.activeSnapshot.id, 'files', relativePath));
+        installer.activeSnapshot.folders.push(relativePath);
+    } else {
+        installer.activeSnapshot.createdFolders.push(relativePath);
+    }
+    await saveSnapshot(installer, installer.activeSnapshot);
+}
+
+/**
+ * Writes a pack JSON file, counting the change in the active snapshot.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} file - The full path to the JSON file.
+ * @param {*} data - The data to save as JSON.
+ * NOTE: Files that could not be read are never written, they must be repaired with doctor first.
+ */
+async function writeJSON(installer, file, data) {
+    if (installer.corruptFiles.has(file)) throw new Error(`Unable to update ${file}. The file could not be read, use doctor to repair it.`);
+    if (installer.activeSnapshot) installer.activeSnapshot.changes++;
+    await fs.outputFile(file, JSON.stringify(data, undefined, 2));
+}
+
+/**
+ * Restores the files and folders saved in a snapshot and reloads the installed packs.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Snapshot} snapshot - The snapshot to restore.
+ */
+async function restoreSnapshot(installer, snapshot) {
+    let snapshotFiles = path.join(installer.snapshotsPath, snapshot.id, 'files');
+    for (let folder of snapshot.createdFolders) await fs.remove(path.join(installer.serverPath, folder));
+    for (let folder of snapshot.folders) {
+        await fs.remove(path.join(installer.serverPath, folder));
+        await fs.copy(path.join(snapshotFiles, folder), path.join(installer.serverPath, folder));
+    }
+    for (let file of snapshot.files) await fs.copy(path.join(snapshotFiles, file), path.join(installer.serverPath, file));
+    for (let file of snapshot.missingFiles) await fs.remove(path.join(installer.serverPath, file));
+    log.detail('BDSAddonInstaller - Restored snapshot ' + snapshot.id);
+
+    // Reload everything that may have changed.
+    await reloadServer(installer);
+}
+
+/**
+ * Saves the details of a snapshot to its snapshot.json file.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Snapshot} snapshot - The snapshot to save.
+ */
+async function saveSnapshot(installer, snapshot) {
+    await fs.outputFile(path.join(installer.snapshotsPath, snapshot.id, 'snapshot.json'), JSON.stringify(snapshot, undefined, 2));
+}
+
+/**
+ * Reads the saved snapshots.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {Snapshot[]} The saved snapshots, newest first.
+ * NOTE: This function is Synchronous so it can be used without need for a callback.
+ */
+function readSnapshots(installer) {
+    if (!fs.existsSync(installer.snapshotsPath)) return [];
+    let snapshots = [];
+    for (let id of fs.readdirSync(installer.snapshotsPath)) {
+        try {
+            snapshots.push(JSON.parse(fs.readFileSync(path.join(installer.snapshotsPath, id, 'snapshot.json'))));
+        } catch (err) {
+            log.warning('BDSAddonInstaller - Unable to read snapshot ' + id);
+        }
+    }
+    return snapshots.sort((a, b) => b.id.localeCompare(a.id, undefined, {numeric: true}));
+}
+
+/**
+ * Removes the oldest snapshots, keeping the number of snapshots set by the snapshotRetention option.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ */
+async function pruneSnapshots(installer) {
+    let snapshots = readSnapshots(installer);
+    for (let snapshot of snapshots.slice(Math.max(installer.snapshotRetention, 0))) {
+        await fs.remove(path.join(installer.snapshotsPath, snapshot.id));
+        log.detail('BDSAddonInstaller - Removed old snapshot ' + snapshot.id);
+    }
+}
+
+///////////////////////////////////////////////////////////
+// BDSAddonInstaller misc functions
+
+/**
+ * Stages the packs found in the provided source as .mcpack files in BDS-Addons/.cache/.
+ * Sources may be addons, archives with packs in subfolders, or unpacked folders holding one or more packs.
+ * Packs are staged in a folder named after the hash of the source, so an unchanged source is only extracted once.
+ * The source itself is never altered.
+ * @param {BDSAddonInstaller} installer - The installer to emit extract:progress events from.
+ * @param {String} sourcePath - The path of the archive or folder to stage packs from.
+ * @returns {String[]} The paths of the staged .mcpack files.
+ */
+async function stagePacks(installer, sourcePath) {
+    if (!await fs.exists(sourcePath)) throw new Error('Unable to stage packs. Invalid path provided: ' + sourcePath);
+
+    // Extract file path and name info for saving the extracted packs. 
+    let isFolder = (await fs.stat(sourcePath)).isDirectory();
+    let sourceName = isFolder ? path.basename(sourcePath) : path.basename(sourcePath).replace(/\.[^.]*$/, '');
+    let hash = await hashSource(sourcePath);
+    let stageLocation = path.join(installer.stagingPath, hash);
+    let stageFile = path.join(stageLocation, 'staged.json');
+
+    // Packs staged by an earlier run are reused.
+    if (!await fs.exists(stageFile)) {
+        log.detail('BDSAddonInstaller - Extracting packs from ' + sourcePath);
+
+        // Stage into a temporary folder, replacing anything left behind by a run that did not finish.
+        let tempLocation = stageLocation + '.tmp';
+        let contentsLocation = path.join(tempLocation, 'contents/');
+        await fs.remove(tempLocation);
+        if (isFolder) await fs.copy(sourcePath, contentsLocation);
+        else await promiseExtract(sourcePath, contentsLocation);
+        let staged = {source: path.basename(sourcePath), packs: []};
+
+        let packs = await expandSourcePacks(contentsLocation);
+        for (let pack of packs) {
+            let entry = path.relative(contentsLocation, pack.location);
+            log.detail(`BDSAddonInstaller - Extracting ${entry || sourceName} from ${sourceName}.`);
+            if (installer) installer.emit('extract:progress', {source: sourcePath, entry: entry || null, current: staged.packs.length + 1, total: packs.length});
+
+            // Name each pack after the source and its location in the source, keeping the names unique.
+            let label = [sourceName].concat(entry.replace(archivePattern, '').split(path.sep).filter(part => part)).join('_');
+            let packName = label + '.mcpack';
+            for (let count = 2; staged.packs.some(stagedPack => stagedPack.file == packName); count++) packName = `${label}_${count}.mcpack`;
+
+            // If the mcpack is already packaged, move the file. Otherwise the pack still needs to be zipped.
+            let packDestination = path.join(tempLocation, packName);
+            if (pack.archive) await fs.move(pack.location, packDestination);
+            else await promiseZip(pack.location, packDestination);
+            staged.packs.push({file: packName, entry: entry.split(path.sep).join('/') || null});
+        }
+        if (staged.packs.length == 0) {
+            await fs.remove(tempLocation);
+            throw new Error('Unable to stage packs. No packs were found in ' + sourcePath);
+        }
+
+        // Only move the staged packs into place once every pack was extracted.
+        await fs.remove(contentsLocation);
+        await fs.outputFile(path.join(tempLocation, 'staged.json'), JSON.stringify(staged, undefined, 2));
+        await fs.remove(stageLocation);
+        await fs.move(tempLocation, stageLocation);
+    }
+
+    // Remember which source each staged pack came from so the ledger can trace it.
+    let staged = JSON.parse(await fs.readFile(stageFile));
+    return staged.packs.map(pack => {
+        let packPath = path.join(stageLocation, pack.file);
+        installer.stagedPacks.set(packPath, {source: path.basename(sourcePath), entry: pack.entry});
+        log.detail('BDSAddonInstaller - Staged ' + packPath);
+        return packPath;
+    });
+}
+
+/**
+ * Finds the packs in an extracted source, extracting any archives that hold more packs in place.
+ * @param {String} directory - The folder the source was extracted or copied to.
+ * @returns {SourcePack[]} The pack folders and packaged pack archives found.
+ */
+async function expandSourcePacks(directory) {
+    let packs = [];
+    for (let pack of findSourcePacks(directory)) {
+        if (!pack.archive) {
+            packs.push(pack);
+            continue;
+        }
+
+        // Packaged packs are staged as they are, other archives are searched for the packs they hold.
+        let type;
+        try { type = getSourceType(pack.location) } catch (err) {
+            log.warning(`BDSAddonInstaller - Skipping ${path.basename(pack.location)}. ${err.message}`);
+            continue;
+        }
+        if (type == 'pack') {
+            packs.push(pack);
+            continue;
+        }
+        let folder = pack.location.replace(archivePattern, '');
+        if (await fs.exists(folder)) folder += '_contents';
+        await promiseExtract(pack.location, folder);
+        await fs.remove(pack.location);
+        packs = packs.concat(await expandSourcePacks(folder));
+    }
+    return packs;
+}
+
+/**
+ * Removes staged packs that no longer belong to a source in BDS-Addons.
+ * Also removes the tmp folder left in BDS-Addons by older versions of the installer.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String[]} hashes - The hashes of the sources that are still in use.
+ */
+async function pruneStagedPacks(installer, hashes) {
+    let legacyLocation = path.join(installer.addonPath, legacyStagingFolder);
+    if (await fs.exists(legacyLocation)) {
+        log.detail('BDSAddonInstaller - Removing the leftover extraction folder ' + legacyLocation);
+        await fs.remove(legacyLocation);
+    }
+    if (!await fs.exists(installer.stagingPath)) return;
+    for (let folder of await fs.readdir(installer.stagingPath)) {
+        if (hashes.includes(folder)) continue;
+        log.detail('BDSAddonInstaller - Removing unused staged packs ' + folder);
+        await fs.remove(path.join(installer.stagingPath, folder));
+    }
+}
+
+/**
+ * Extracts the manifest data as an object from the provided pack archive.
+ * @param {String} packPath - The path to the pack to extract the manifest from.
+ * @returns {Object} The parsed manifest.json file.
+ */
+function extractPackManifest(packPath) {
+    // Validate the provided pack (path exists and file is an archive)
+    if (!fs.existsSync(packPath)) throw new Error('Unable to extract manifest file. Invalid file path provided: ' + packPath);
+    if (fs.statSync(packPath).isDirectory()) throw new Error('Unable to extract manifest file. The provided path is a folder. ' + packPath);
+    log.detail('BDSAddonInstaller - Reading manifest data from ' + packPath);
+
+    // Locate the manifest file in the zipped pack, preferring the manifest at the root of the pack.
+    let archive = new admZip(packPath);
+    let manifests = archive.getEntries().filter(entry => manifestFiles.includes(path.posix.basename(entry.entryName)));
+    let manifest = manifests.find(entry => manifestFiles.includes(entry.entryName)) || manifests[0];
+    if (!manifest) throw new Error('Unable to extract manifest file. It does not exist in this pack. ' + packPath);
+    
+    // Read the manifest and return the parsed JSON.
+    return JSON.parse(stripJsonComments(archive.readAsText(manifest.entryName)));
+}
+
+/**
+ * Detects how a pack source should be installed from its contents rather than its file extension.
+ * @param {String} location - The path to an archive or folder.
+ * @returns {String} pack for archives with a manifest.json at the root, bundle for archives holding packs elsewhere, or folder for directories.
+ */
+function getSourceType(location) {
+    if (fs.statSync(location).isDirectory()) return 'folder';
+    let entries;
+    try { entries = new admZip(location).getEntries() } catch (err) {
+        throw new Error('The provided file is not an addon or pack. ' + location);
+    }
+    let names = entries.filter(entry => !entry.isDirectory).map(entry => entry.entryName.replace(/\\/g, '/'));
+    if (names.some(name => manifestFiles.includes(name))) return 'pack';
+    if (names.some(name => manifestFiles.includes(path.posix.basename(name)) || archivePattern.test(name))) return 'bundle';
+    throw new Error('No packs were found in ' + location);
+}
+
+/**
+ * Locates the packs inside of an archive that does not have a manifest.json at its root.
+ * Only the top most manifest of each pack folder is used, so files inside of a pack are not mistaken for packs.
+ * @param {admZip} archive - The opened archive.
+ * @returns {Object} The manifest entries of each pack folder and the entries of archives outside of those folders.
+ */
+function findArchivePacks(archive) {
+    let entries = archive.getEntries().filter(entry => !entry.isDirectory);
+    let name = entry => entry.entryName.replace(/\\/g, '/');
+    let folders = [];
+    let manifests = [];
+    entries.filter(entry => manifestFiles.includes(path.posix.basename(name(entry))))
+        .sort((a, b) => name(a).split('/').length - name(b).split('/').length)
+        .forEach(entry => {
+            let folder = path.posix.dirname(name(entry)) + '/';
+            if (folders.some(packFolder => folder.startsWith(packFolder))) return;
+            folders.push(folder);
+            manifests.push(entry);
+        });
+    let archives = entries.filter(entry => archivePattern.test(name(entry)) && !folders.some(folder => name(entry).startsWith(folder)));
+    return {manifests, archives};
+}
+
+/**
+ * Reads the manifest data of every pack in the provided addon, archive or folder without extracting it.
+ * Supports packaged .mcpack files as well as unpackaged pack folders, at any depth.
+ * @param {String} sourcePath - The path of the archive or folder to read manifests from.
+ * @param {Boolean} withEntries - Optional parameter to also list the files of each pack as PackEntry objects.
+ * @returns {PackFile[]} The bundled packs. The file is the source path followed by the location of the pack in the source.
+ * NOTE: The hash is only known for packaged .mcpack files, unpackaged folders are packaged when the source is staged.
+ */
+function inspectPackSource(sourcePath, withEntries) {
+    if (!fs.existsSync(sourcePath)) throw new Error('Unable to read pack manifests. Invalid path provided: ' + sourcePath);
+    log.detail('BDSAddonInstaller - Reading manifest data from ' + sourcePath);
+
+    let packs = [];
+    if (fs.statSync(sourcePath).isDirectory()) {
+        for (let pack of findSourcePacks(sourcePath)) {
+            if (pack.archive) {
+                packs = packs.concat(inspectPackSource(pack.location, withEntries));
+                continue;
+            }
+            packs.push({file: pack.location, manifest: JSON.parse(stripJsonComments(fs.readFileSync(findManifestFile(pack.location)).toString())), hash: null});
+            if (withEntries) packs[packs.length - 1].entries = readFolderEntries(pack.location);
+        }
+    } else {
+        packs = inspectArchive(fs.readFileSync(sourcePath), sourcePath, withEntries);
+    }
+    if (packs.length == 0) throw new Error('Unable to read pack manifests. No packs were found in ' + sourcePath);
+    return packs;
+}
+
+/**
+ * Reads the manifest data of every pack in an archive from memory.
+ * @param {Buffer} data - The contents of the archive.
+ * @param {String} file - The location of the archive, used as the start of each pack file.
+ * @param {Boolean} withEntries - Optional parameter to also list the files of each pack as PackEntry objects.
+ * @returns {PackFile[]} The packs found in the archive.
+ */
+function inspectArchive(data, file, withEntries) {
+    let archive = new admZip(data);
+    let root = archive.getEntries().find(entry => manifestFiles.includes(entry.entryName));
+    let listEntries = folder => archive.getEntries()
+        .filter(entry => !entry.isDirectory && entry.entryName.replace(/\\/g, '/').startsWith(folder))
+        .map(entry => ({name: entry.entryName.replace(/\\/g, '/').slice(folder.length), read: () => archive.readAsText(entry)}));
+    if (root) {
+        let hash = crypto.createHash('sha256').update(data).digest('hex');
+        let pack = {file, manifest: JSON.parse(stripJsonComments(archive.readAsText(root))), hash};
+        if (withEntries) pack.entries = listEntries('');
+        return [pack];
+    }
+
+    // Packs are found in subfolders and packaged archives inside of this archive.
+    let packs = [];
+    let {manifests, archives} = findArchivePacks(archive);
+    for (let entry of manifests) {
+        let location = path.join(file, path.posix.dirname(entry.entryName));
+        packs.push({file: location, manifest: JSON.parse(stripJsonComments(archive.readAsText(entry))), hash: null});
+        if (withEntries) packs[packs.length - 1].entries = listEntries(path.posix.dirname(entry.entryName.replace(/\\/g, '/')) + '/');
+    }
+    for (let entry of archives) {
+        try { packs = packs.concat(inspectArchive(entry.getData(), path.join(file, entry.entryName), withEntries)) } catch (err) {
+            log.warning(`BDSAddonInstaller - Unable to read ${entry.entryName} in ${file}. ${err.message}`);
+        }
+    }
+    return packs;
+}
+
+/**
+ * Lists the packs, addons and folders in the BDS-Addons directory.
+ * Hidden files, such as the install ledger, and the staging folder of older versions are not packs.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {String[]} The full path to each source.
+ */
+function listAddonSources(installer) {
+    if (!fs.existsSync(installer.addonPath)) return [];
+    return fs.readdirSync(installer.addonPath).filter(file => !file.startsWith('.') && file != legacyStagingFolder).map(file => path.join(installer.addonPath, file));
+}
+
+/**
+ * Attempts to locate the pack file or folder referenced by the user.
+ * Paths and archive names are checked as provided, all names are then checked in the BDS-Addons directory.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} file - The full path, relative path or file name of the pack.
+ * @returns {String} The full path to the pack or null if it is not a pack path or the file is gone but its packs are in the ledger.
+ */
+async function resolvePackFile(installer, file) {
+    let isArchive = archivePattern.test(file);
+    let locations = [path.join(installer.addonPath, file)];
+    if (isArchive || file.includes('/') || file.includes(path.sep)) locations.unshift(path.resolve(file));
+    for (let location of locations) {
+        if (await fs.exists(location)) return location;
+    }
+    if (!isArchive) return null;
+    if (Array.from(installer.ledger.values()).some(record => record.source == path.basename(file))) return null;
+    throw new Error('Unable to locate the provided pack file. ' + file);
+}
+
+/**
+ * Searches the installed world & server packs for a pack by uuid, manifest name or folder name.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} idOrName - The uuid, manifest name or installed folder name of the pack.
+ * @returns {PackData} The installed pack information or null if the pack is not installed.
+ * NOTE: Names are not case sensitive and world packs are preferred over server packs.
+ */
+function findInstalledPack(installer, idOrName) {
+    let maps = [installer.installedWorldResources, installer.installedWorldBehaviors, installer.installedServerResources, installer.installedServerBehaviors];
+    for (let packs of maps) {
+        if (packs.has(idOrName)) return packs.get(idOrName);
+    }
+    for (let packs of maps) {
+        for (let pack of packs.values()) {
+            if (packMatches(pack, idOrName)) return pack;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the ledger record of a pack installed to the active world by BDSAddonInstaller.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} idOrName - The uuid, manifest name or installed folder name of the pack, or the pack or addon it was installed from.
+ * @param {String} action - The action being taken, used in error messages.
+ * @returns {LedgerRecord} The ledger record of the pack.
+ */
+function findLedgerRecord(installer, idOrName, action) {
+    if (!idOrName) throw new Error(`Unable to ${action} pack. No pack was provided.`);
+    let records = Array.from(installer.ledger.values()).filter(record => record.worlds[installer.worldName]);
+    let record = installer.ledger.get(idOrName) || records.find(record => packMatches(record, idOrName)) || records.find(record => record.source == path.basename(idOrName));
+    if (!record) throw notInstalledError(`Unable to ${action} pack. No pack installed to ${installer.worldName} by BDSAddonInstaller matches ${idOrName}`);
+    if (!record.worlds[installer.worldName]) throw notInstalledError(`Unable to ${action} pack. The pack is not installed to ${installer.worldName}. ${idOrName}`);
+    return record;
+}
+
+/**
+ * Creates the error thrown when the requested pack is not installed to the active world.
+ * The code tells these errors apart from other failures, such as when a command is run for every world and the pack is only in some of them.
+ * @param {String} message - The error message.
+ * @returns {Error} The error with the PACK_NOT_INSTALLED code.
+ */
+function notInstalledError(message) {
+    let err = new Error(message);
+    err.code = 'PACK_NOT_INSTALLED';
+    return err;
+}
+
+/**
+ * Finds the world pack JSON file that lists a pack and its position in the file.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} idOrName - The uuid, manifest name or installed folder name of the pack.
+ * @returns {Object} The {file, packs, index} of the world pack JSON file or null if the pack is not listed.
+ */
+function findPackStack(installer, idOrName) {
+    let pack = findInstalledPack(installer, idOrName) || Array.from(installer.ledger.values()).find(record => packMatches(record, idOrName));
+    let uuid = pack ? pack.uuid : idOrName;
+    let stacks = [{file: installer.worldResourcesJsonPath, packs: installer.worldResourcesJSON}, {file: installer.worldBehaviorsJsonPath, packs: installer.worldBehaviorsJSON}];
+    for (let stack of stacks) {
+        let index = findIndexOf(stack.packs, 'pack_id', uuid);
+        if (index != -1) return Object.assign({index}, stack);
+    }
+    return null;
+}
+
+/**
+ * Checks if a pack matches the provided uuid, manifest name or folder name.
+ * @param {PackData|LedgerRecord} pack - The installed pack or ledger record to check.
+ * @param {String} idOrName - The uuid, manifest name or installed folder name of the pack.
+ * @returns {Boolean} True if the pack matches. Names are not case sensitive. 
+ */
+function packMatches(pack, idOrName) {
+    if (pack.uuid == idOrName) return true;
+    let search = idOrName.toLowerCase();
+    let name = String(pack.name).toLowerCase();
+    let location = pack.location || pack.folder || '';
+    let folder = path.basename(location).toLowerCase();
+    return name == search || name.replace(/\W/g, '') == search || folder == search;
+}
+
+/**
+ * Reads the pack dependencies from a manifest, ignoring dependencies on script modules provided by the game.
+ * @param {Object} manifest - The parsed manifest.json file of a pack.
+ * @returns {Object[]} The {uuid, version} of each pack the manifest depends on.
+ * NOTE: Malformed entries, such as null or a uuid that is not text, are skipped. They are reported by the validation functions.
+ */
+function getDependencies(manifest) {
+    if (!Array.isArray(manifest.dependencies)) return [];
+    return manifest.dependencies.filter(dependency => {
+        if (!dependency || typeof dependency != 'object' || typeof dependency.uuid != 'string') return false;
+        return dependency.uuid && !dependency.module_name && !scriptModuleIds.includes(dependency.uuid);
+    });
+}
+
+/**
+ * Finds the dependencies of a manifest that are not installed to the active world at the required version or newer.
+ * Packs waiting to be installed in the current batch are treated as installed.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object} manifest - The parsed manifest.json file of a pack.
+ * @returns {String[]} A description of each missing dependency.
+ */
+function findMissingDependencies(installer, manifest) {
+    let missing = [];
+    for (let dependency of getDependencies(manifest)) {
+        let installed = installer.installedWorldResources.get(dependency.uuid) || installer.installedWorldBehaviors.get(dependency.uuid);
+        let pending = installer.pendingPacks.get(dependency.uuid);
+        if (pending) installed = {name: pending.header.name, version: getManifestVersion(pending)};
+        if (!installed) {
+            missing.push(`${dependency.uuid} (not installed)`);
+        } else if (dependency.version && compareVersions(installed.version, dependency.version) < 0) {
+            missing.push(`${installed.name} ${dependency.uuid} (requires ${formatVersion(dependency.version)}, found ${formatVersion(installed.version)})`);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Finds the packs installed to the active world which depend on any of the provided packs.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String[]} uuids - The ids of the packs to check.
+ * @returns {String[]} The names of the dependent packs, excluding the provided packs.
+ */
+function findDependents(installer, uuids) {
+    let dependents = [];
+    for (let packs of [installer.installedWorldResources, installer.installedWorldBehaviors]) {
+        for (let pack of packs.values()) {
+            if (uuids.includes(pack.uuid)) continue;
+            let dependencies = getDependencies({dependencies: pack.dependencies});
+            if (dependencies.some(dependency => uuids.includes(dependency.uuid))) dependents.push(pack.name);
+        }
+    }
+    return dependents;
+}
+
+/**
+ * Sorts packs so each pack comes after the packs it depends on (topological order).
+ * Dependencies are resolved using the provided packs and the packs installed to the active world.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {PackFile[]} packs - The packs to sort.
+ * @param {Map<PackData>} installedPacks - Optional parameter to check dependencies against instead of the active world packs.
+ * @returns {PackFile[]} The sorted packs. Packs with missing dependencies are given an error property.
+ * NOTE: Packs that do not depend on each other keep their original order.
+ */
+function sortByDependencies(installer, packs, installedPacks) {
+    if (!installedPacks) installedPacks = new Map([...installer.installedWorldResources, ...installer.installedWorldBehaviors]);
+    let byUuid = new Map();
+    packs.forEach(pack => { if (pack.manifest) byUuid.set(pack.manifest.header.uuid, pack) });
+
+    // Build the graph of dependencies between the provided packs.
+    let edges = new Map();
+    for (let pack of packs) {
+        edges.set(pack, []);
+        if (!pack.manifest) continue;
+        let missing = [];
+        for (let dependency of getDependencies(pack.manifest)) {
+            let provided = byUuid.get(dependency.uuid);
+            let installed = installedPacks.get(dependency.uuid);
+            let providedVersion = provided ? getManifestVersion(provided.manifest) : null;
+            if (provided && (!dependency.version || compareVersions(providedVersion, dependency.version) >= 0)) {
+                edges.get(pack).push(provided);
+            } else if (!installed || (dependency.version && compareVersions(installed.version, dependency.version) < 0)) {
+                let found = provided ? providedVersion : installed ? installed.version : null;
+                missing.push(`${dependency.uuid} ${dependency.version ? formatVersion(dependency.version) : ''}${found ? ` (found ${formatVersion(found)})` : ''}`.trim());
+            }
+        }
+        if (missing.length > 0) pack.error = new Error(`Unable to install ${pack.file}. Missing dependencies: ${missing.join(', ')}`);
+    }
+
+    // Visit each pack after visiting the packs it depends on.
+    // Resource and behavior packs commonly depend on each other, these cycles are installed in their original order.
+    let results = [];
+    let visiting = new Set();
+    let visited = new Set();
+    let visit = pack => {
+        if (visited.has(pack)) return;
+        if (visiting.has(pack)) return;
+        visiting.add(pack);
+        edges.get(pack).forEach(visit);
+        visiting.delete(pack);
+        visited.add(pack);
+        results.push(pack);
+    };
+    packs.forEach(visit);
+    return results;
+}
+
+/**
+ * Classifies a pack using all of the modules in its manifest.
+ * Behavior packs may hold script modules alongside, or instead of, a data module.
+ * @param {Object} manifest - The parsed manifest.json file of a pack.
+ * @param {String} packPath - The path to the pack, used for error messages.
+ * @returns {String} The pack type, either resources, data, skin_pack or world_template.
+ */
+function getPackType(manifest, packPath) {
+    let modules = manifest.modules || manifest.header.modules;
+    if (!Array.isArray(modules)) throw new Error('Unable to install pack. Unknown pack manifest format.\n' + packPath);
+    let packTypes = modules.map(module => module && moduleTypes[String(module.type).toLowerCase()]);
+    let type = ['world_template', 'skin_pack', 'data', 'resources'].find(type => packTypes.includes(type));
+    if (!type) throw new Error('Unable to install pack. Unknown pack type.\n' + packPath);
+    return type;
+}
+
+/**
+ * Finds the config files BDS needs for the script modules of a pack.
+ * Scripts using modules that BDS does not allow by default need a permissions.json file.
+ * Scripts using @minecraft/server-admin read their settings from a variables.json file.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object} manifest - The parsed manifest.json file of a pack.
+ * @returns {ScriptConfig} The config folder & default file contents or null if the pack does not need any.
+ */
+function getScriptConfig(installer, manifest) {
+    let modules = manifest.modules || manifest.header.modules || [];
+    let script = modules.find(module => module && ['script', 'javascript'].includes(String(module.type).toLowerCase()));
+    if (!script || !script.uuid) return null;
+
+    // Read the modules allowed for every pack from the default permissions.
+    let allowedModules = defaultAllowedModules;
+    let defaultPermissions = path.join(installer.serverConfigDir, 'default', 'permissions.json');
+    try { allowedModules = JSON.parse(stripJsonComments(fs.readFileSync(defaultPermissions).toString())).allowed_modules || [] } catch(err) {};
+
+    let scriptModules = (Array.isArray(manifest.dependencies) ? manifest.dependencies : []).filter(dependency => dependency && typeof dependency.module_name == 'string').map(dependency => dependency.module_name);
+    let files = {};
+    if (scriptModules.some(module => !allowedModules.includes(module))) files['permissions.json'] = {allowed_modules: scriptModules};
+    if (scriptModules.includes('@minecraft/server-admin')) files['variables.json'] = {};
+    if (Object.keys(files).length == 0) return null;
+    return {folder: path.join(installer.serverConfigDir, script.uuid), files};
+}
+
+/**
+ * Creates the config files needed by the script modules of a pack in the server config folder.
+ * Existing files are never replaced, they may hold settings made by the server owner.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Object} manifest - The parsed manifest.json file of a pack.
+ */
+async function scaffoldScriptConfig(installer, manifest) {
+    let config = getScriptConfig(installer, manifest);
+    if (!config) return;
+    for (let file of Object.keys(config.files)) {
+        let location = path.join(config.folder, file);
+        if (await fs.exists(location)) continue;
+        await backupFolder(installer, config.folder);
+        await fs.outputFile(location, JSON.stringify(config.files[file], undefined, 2));
+        log.general(`BDSAddonInstaller - Created ${path.relative(installer.serverPath, location)} for the scripts in ${manifest.header.name}.`);
+    }
+}
+
+/**
+ * Reads the pack version from a manifest.
+ * @param {Object} manifest - The parsed manifest.json file of a pack.
+ * @returns {Number[]} The version found in the header, or the first module for older manifests.
+ */
+function getManifestVersion(manifest) {
+    return manifest.header.version || manifest.header.modules[0].version;
+}
+
+/**
+ * Reads the world name from a BDS server.properties file.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {String} The value found for level-name from server.properties.
+ * NOTE: This function is Synchronous for use in the constructor without need for a callback.
+ */
+function readWorldName(installer) {
+    log.detail('BDSAddonInstaller - Reading world name from ' + installer.serverPropertiesPath);
+    let levelName = getProperty(readServerProperties(installer), 'level-name');
+    if (!levelName) throw new Error('Unable to retrieve level-name from server properties.');
+    return levelName;
+}
+
+/**
+ * Returns the installed packs of one type, mapping them from the provided directory the first time they are used.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} type - The key of the map in installer.packMaps, such as serverResources.
+ * @param {String} directory - The path to the directory containing the extracted/installed packs of the type.
+ * @returns {Map<PackData>} A collection of manifest information with the uuid as the key.
+ * NOTE: Maps are only missing here for installers made with the constructor, or after setWorld. Changes to the server map them with loadInstalledPacks first.
+ */
+function getInstalledPacks(installer, type, directory) {
+    if (!installer.packMaps[type]) installer.packMaps[type] = mapInstalledPacks(scanPackFolders(directory));
+    return installer.packMaps[type];
+}
+
+/**
+ * Maps the installed packs of each type that is not mapped yet without blocking.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ */
+async function loadInstalledPacks(installer) {
+    let directories = {
+        serverResources: installer.serverResourcesDir,
+        serverBehaviors: installer.serverBehaviorsDir,
+        worldResources: installer.worldResourcesDir,
+        worldBehaviors: installer.worldBehaviorsDir
+    };
+    for (let [type, directory] of Object.entries(directories)) {
+        if (!installer.packMaps[type]) installer.packMaps[type] = mapInstalledPacks(await readPackFolders(installer, directory));
+    }
+}
+
+/**
+ * Collects manifest information from the installed pack folders of a directory.
+ * @param {PackFolder[]} folders - The pack folders read from the directory.
+ * @returns {Map<PackData>} A collection of manifest information with the uuid as the key.
+ * 
+ * NOTE: Some of the vanilla packs are installed multiple times using the same uuid but different versions.
+ * Only the newest version of each uuid is kept in the map.
+ */
+function mapInstalledPacks(folders) {
+    let results = new Map();
+
+    // Extract manifest & path information for each installed pack
+    for (let folder of folders) {
+        if (!folder.manifest) {
+            log.warning('BDSAddonInstaller - ' + folder.error);
+            log.warning('BDSAddonInstaller - Installed location: ' + folder.location);
+            continue;
+        }
+
+        // Collect and map the manifest information
+        let manifest = folder.manifest;
+        let uuid = manifest.header.uuid;
+        let name = manifest.header.name;
+        let version = getManifestVersion(manifest);
+        let dependencies = manifest.dependencies || [];
+        let mapped = results.get(uuid);
+        if (mapped && compareVersions(mapped.version, version) >= 0) continue;
+        results.set(uuid, {name, uuid, version, location: folder.location, dependencies}); 
+    }
+    return results;
+}
+
+/**
+ * Reads the manifest of each pack folder in the provided directory without blocking.
+ * Folders that have not changed since they were saved in the manifest index are not read again.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} directory - The directory containing the installed pack folders.
+ * @returns {PackFolder[]} Each folder with its manifest, or the reason the manifest could not be read.
+ */
+async function readPackFolders(installer, directory) {
+    // The provided directory may not exist if the world has no packs installed.
+    if (!await fs.pathExists(directory)) return [];
+    if (!installer.packIndex) installer.packIndex = await loadPackIndex(installer);
+    let index = installer.packIndex;
+    let found = new Set();
+    let changed = false;
+
+    // The folders are read at the same time, each one only changes its own entry in the index.
+    let results = await Promise.all((await fs.readdir(directory)).map(async subdirectory => {
+        let location = path.join(directory, subdirectory);
+        let stats = await fs.stat(location);
+        if (!stats.isDirectory()) return null;
+        let key = path.relative(installer.serverPath, location);
+        found.add(key);
+
+        // Use the indexed manifest while the folder and its manifest file keep the same modification times.
+        let indexed = index.folders[key];
+        if (indexed && indexed.mtime == stats.mtimeMs && await readModifiedTime(path.join(location, indexed.manifestFile)) == indexed.manifestMtime) {
+            return {location, manifest: indexed.manifest, error: null};
+        }
+
+        log.detail('BDSAddonInstaller - Reading manifest data from ' + location);
+        let folder = await loadPackFolder(location);
+        changed = true;
+
+        // Folders without a readable manifest are not indexed, so they are checked again each time.
+        if (!folder.manifest) {
+            delete index.folders[key];
+        } else {
+            let manifestFile = path.relative(location, folder.manifestFile);
+            index.folders[key] = {mtime: stats.mtimeMs, manifestFile, manifestMtime: await readModifiedTime(folder.manifestFile), manifest: folder.manifest};
+        }
+        return {location, manifest: folder.manifest, error: folder.error};
+    }));
+    results = results.filter(folder => folder);
+
+    // Remove the folders of this directory that no longer exist from the index.
+    let relativeDirectory = path.relative(installer.serverPath, directory);
+    for (let key of Object.keys(index.folders)) {
+        if (path.dirname(key) != relativeDirectory || found.has(key)) continue;
+        delete index.folders[key];
+        changed = true;
+    }
+    if (changed) await savePackIndex(installer);
+    return results;
+}
+
+/**
+ * Reads the manifest of every pack folder in the provided directory, without using the manifest index.
+ * @param {String} directory - The directory containing the installed pack folders.
+ * @returns {PackFolder[]} Each folder with its manifest, or the reason the manifest could not be read.
+ * NOTE: This function is Synchronous for use in the installed pack getters without need for a callback.
+ */
+function scanPackFolders(directory) {
+    // The provided directory may not exist if the world has no packs installed.
+    if (!fs.pathExistsSync(directory)) return [];
+    let results = [];
+    for (let subdirectory of fs.readdirSync(directory)) {
+        let location = path.join(directory, subdirectory);
+        if (!fs.statSync(location).isDirectory()) continue;
+        log.detail('BDSAddonInstaller - Reading manifest data from ' + location);
+        let folder = readPackFolder(location);
+        results.push({location, manifest: folder.manifest, error: folder.error});
+    }
+    return results;
+}
+
+/**
+ * Reads the manifest of an installed pack folder.
+ * @param {String} location - The full path to the pack folder.
+ * @returns {Object} The {manifest, manifestFile, error} of the folder. The manifest is null if it could not be read.
+ * NOTE: This function is Synchronous for use in the installed pack getters without need for a callback.
+ */
+function readPackFolder(location) {
+    // Locate the directory containing the pack manifest.
+    let manifestLocation = findFilesSync(manifestFiles, location);
+    if (!manifestLocation) return {manifest: null, manifestFile: null, error: 'Unable to locate manifest file of installed pack.'};
+    let manifestFile = findManifestFile(manifestLocation);
+    try {
+        return {manifest: parseInstalledManifest(fs.readFileSync(manifestFile)), manifestFile, error: null};
+    } catch (err) {
+        return {manifest: null, manifestFile, error: 'Unable to read manifest file of installed pack. ' + err.message};
+    }
+}
+
+/**
+ * Reads the manifest of an installed pack folder without blocking.
+ * @param {String} location - The full path to the pack folder.
+ * @returns {Object} The {manifest, manifestFile, error} of the folder. The manifest is null if it could not be read.
+ */
+async function loadPackFolder(location) {
+    // Locate the directory containing the pack manifest.
+    let manifestLocation = await findFiles(manifestFiles, location);
+    if (!manifestLocation) return {manifest: null, manifestFile: null, error: 'Unable to locate manifest file of installed pack.'};
+    let manifestFile = path.join(manifestLocation, 'manifest.json');
+    if (!await fs.pathExists(manifestFile)) manifestFile = path.join(manifestLocation, 'pack_manifest.json');
+    try {
+        return {manifest: parseInstalledManifest(await fs.readFile(manifestFile)), manifestFile, error: null};
+    } catch (err) {
+        return {manifest: null, manifestFile, error: 'Unable to read manifest file of installed pack. ' + err.message};
+    }
+}
+
+/**
+ * Parses the manifest file of an installed pack.
+ * @param {Buffer} contents - The contents of the manifest file.
+ * @returns {Object} The manifest.
+ */
+function parseInstalledManifest(contents) {
+    // Some vanilla packs have comments in them, this is not valid JSON and needs to be removed.
+    let manifest = JSON.parse(stripJsonComments(contents.toString()));
+    if (!manifest || !manifest.header || !manifest.header.uuid) throw new Error('The manifest has no header uuid.');
+    return manifest;
+}
+
+/**
+ * Reads the modification time of a file or folder.
+ * @param {String} location - The full path to the file or folder.
+ * @returns {Number} The modification time in milliseconds or null if it does not exist.
+ */
+async function readModifiedTime(location) {
+    try { return (await fs.stat(location)).mtimeMs } catch (err) { return null }
+}
+
+/**
+ * Reads the manifest index from BDS-Addons/.pack-index.json.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {PackIndex} The manifest index, or a new empty index if it can not be used.
+ */
+async function loadPackIndex(installer) {
+    let index = null;
+    try { index = await fs.readJson(installer.packIndexPath) } catch (err) {}
+    if (!index || index.indexVersion !== packIndexVersion || !index.folders || typeof index.folders != 'object') return {indexVersion: packIndexVersion, folders: {}};
+    return index;
+}
+
+/**
+ * Saves the manifest index to BDS-Addons/.pack-index.json.
+ * The index is only a cache of the installed manifests, so it is not part of snapshots and failing to save it is not an error.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ */
+async function savePackIndex(installer) {
+    try {
+        await fs.outputFile(installer.packIndexPath, JSON.stringify(installer.packIndex));
+    } catch (err) {
+        log.warning('BDSAddonInstaller - Unable to save the manifest index. ' + err.message);
+    }
+}
+
+/**
+ * Reads a pack JSON file, such as valid_known_packs.json, creating the file if it does not exist.
+ * Files that can not be parsed are recorded so they are never overwritten with an empty list.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} file - The path to the JSON file.
+ * @returns {Object[]} The entries of the file, or an empty array if the file is empty or corrupt.
+ */
+function readPackJSON(installer, file) {
+    fs.ensureFileSync(file);
+    return parsePackJSON(installer, file, fs.readFileSync(file).toString());
+}
+
+/**
+ * Reads a pack JSON file without blocking, creating the file if it does not exist.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} file - The path to the JSON file.
+ * @returns {Object[]} The entries of the file, or an empty array if the file is empty or corrupt.
+ */
+async function loadPackJSON(installer, file) {
+    await fs.ensureFile(file);
+    return parsePackJSON(installer, file, (await fs.readFile(file)).toString());
+}
+
+/**
+ * Parses the contents of a pack JSON file, recording the files that can not be parsed.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} file - The path to the JSON file.
+ * @param {String} contents - The contents of the file.
+ * @returns {Object[]} The entries of the file, or an empty array if the file is empty or corrupt.
+ */
+function parsePackJSON(installer, file, contents) {
+    installer.corruptFiles.delete(file);
+    if (contents.trim() == '') return [];
+    try {
+        let entries = JSON.parse(contents);
+        if (Array.isArray(entries)) return entries;
+        installer.corruptFiles.set(file, 'The file does not hold a list of packs.');
+    } catch (err) {
+        installer.corruptFiles.set(file, err.message);
+    }
+    log.warning(`BDSAddonInstaller - Unable to read ${file}. It will not be changed until it is repaired, use doctor to repair it.`);
+    return [];
+}
+
 /**
- * Uninstalls the pack from the valid_known_packs.json by uuid & deletes the provided pack path. 
- * @param {String} uuid - The id of the pack to remove from the valid_known_packs.json file. 
- * @param {String} location - The path to the root directory of the installed pack to be deleted.
- * WARNING: No validation is done to confirm that the provided path is a pack.  
+ * Reads the server pack JSON & maps the packs installed to the server.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * NOTE: This function is Synchronous for use in the constructor, create() and queued changes use reloadServer instead.
  */
-async function uninstallServerPack (uuid, location) {
-    // Locate the pack in the manifest data.
-    let packIndex = findIndexOf(serverPacksJSON, 'uuid', uuid);
-
-    // Remove the pack data and update the json file.
-    if (packIndex != -1) {
-        serverPacksJSON.splice(packIndex, 1);
-        await fs.writeFile(serverPacksJsonPath, JSON.stringify(serverPacksJSON, undefined, 2));
-        log.detail(`BDSAddonInstaller - Removed ${uuid} from server packs JSON.`);
-    }
+function loadServer(installer) {
+    // Read installed packs from JSON file. Corrupt files are left untouched until repaired by doctor.
+    installer.serverPacksJSON = readPackJSON(installer, installer.serverPacksJsonPath);
 
-    // Delete the provided pack path. 
-    if (await fs.exists(location)) {
-        await fs.remove(location);
-        log.detail(`BDSAddonInstaller - Removed ${location}`);
-    }
+    // Installed packs are mapped from the server install directories the next time they are used.
+    installer.installedServerResources = null;
+    installer.installedServerBehaviors = null;
 }
 
-///////////////////////////////////////////////////////////
-// BDSAddonInstaller misc functions
-
 /**
- * Extracts bundled packs from the provided addon file.
- * This will only need to be ran once on an addon as it will convert the addon to multiple .mcpack files. 
- * @param {String} addonPath - The path of the addon file to extract packs from.
+ * Updates the world paths, pack JSON & installed pack maps to use the provided world.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} name - The name of the world folder to load.
+ * NOTE: This function is Synchronous for use in the constructor and setWorld, queued changes use changeWorld instead.
  */
-async function extractAddonPacks(addonPath) {
-    // Validate the provided path is to an addon.
-    if (!await fs.exists(addonPath)) throw new Error('Unable to extract packs from addon. Invalid file path provided: ' + addonPath);
-    if (!addonPath.endsWith('.mcaddon')) throw new Error('Unable to extract packs from addon. The provided file is not an addon. ' + addonPath);
-    log.detail('BDSAddonInstaller - Extracting packs from ' + addonPath);
-
-    // Extract file path and name info for saving the extracted packs. 
-    let addonName = path.basename(addonPath).replace('.mcaddon', '');
-    let dirPath = path.dirname(addonPath);
+function loadWorld(installer, name) {
+    setWorldPaths(installer, name);
 
-    // Create a temp location and extract the addon contents to it.
-    let tempLocation = path.join(dirPath, 'tmp/', addonName + '/');
-    await promiseExtract(addonPath, tempLocation);
-    let packs = fs.readdirSync(tempLocation);
-    let results = [];
+    // Read installed packs from JSON files. Corrupt files are left untouched until repaired by doctor.
+    installer.worldResourcesJSON = readPackJSON(installer, installer.worldResourcesJsonPath);
+    installer.worldBehaviorsJSON = readPackJSON(installer, installer.worldBehaviorsJsonPath);
 
-    // Move addon packs from temporary location to BDS-Addon directory.
-    for (let pack of packs) {
-        log.detail(`BDSAddonInstaller - Extracting ${pack} from ${addonName}.`);
-
-        // If the mcpack is already packaged, move the file. 
-        if (pack.endsWith('.mcpack')) {
-            let packName = addonName + '_' + pack;
-            let packFile = path.join(tempLocation, pack);
-            let packDestination = path.join(dirPath, packName);
-            await fs.move(packFile, packDestination);
-            results.push(packDestination);
-            log.detail('BDSAddonInstaller - Extracted ' + packDestination);
-        }else {
-            // The pack still needs to be zipped and then moved.
-            let packName = addonName + '_' + pack + '.mcpack';
-            let packFolder = path.join(tempLocation, pack);
-            let packDestination = path.join(dirPath, packName);
-            await promiseZip(packFolder, packDestination);
-            results.push(packDestination);
-            log.detail('BDSAddonInstaller - Extracted ' + packDestination);
-        }
-    }
-
-    // Remove temporary files and old addon.
-    await fs.remove(path.join(dirPath, 'tmp/'));;
-    await fs.unlink(addonPath);
-
-    // Return an array of paths to the extracted packs.
-    return results;
+    // Installed packs are mapped from the world install directories the next time they are used.
+    installer.installedWorldResources = null;
+    installer.installedWorldBehaviors = null;
+    log.detail('BDSAddonInstaller - Using world ' + installer.worldName);
 }
 
 /**
- * Extracts the manifest data as an object from the provided .mcpack file.
- * @param {String} packPath - The path to the pack to extract the manifest from.
- * @returns {Object} The parsed manifest.json file.
+ * Updates the world paths, pack JSON & installed pack maps to use the provided world without blocking.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} name - The name of the world folder to load.
  */
-function extractPackManifest(packPath) {
-    // Validate the provided pack (path exists and file is correct type)
-    if (!fs.existsSync(packPath)) throw new Error('Unable to extract manifest file. Invalid file path provided: ' + packPath);
-    if (!packPath.endsWith('.mcpack')) throw new Error('Unable to extract manifest file. The provided file is not a pack. ' + packPath);
-    log.detail('BDSAddonInstaller - Reading manifest data from ' + packPath);
+async function changeWorld(installer, name) {
+    setWorldPaths(installer, name);
 
-    // Locate the manifest file in the zipped pack.
-    let archive = new admZip(packPath);
-    let manifest = archive.getEntries().filter(entry => entry.entryName.endsWith('manifest.json') || entry.entryName.endsWith('pack_manifest.json'));
-    if (!manifest[0]) throw new Error('Unable to extract manifest file. It does not exist in this pack. ' + packPath);
-    
-    // Read the manifest and return the parsed JSON.
-    return JSON.parse(stripJsonComments(archive.readAsText(manifest[0].entryName)));
+    // Read installed packs from JSON files. Corrupt files are left untouched until repaired by doctor.
+    installer.worldResourcesJSON = await loadPackJSON(installer, installer.worldResourcesJsonPath);
+    installer.worldBehaviorsJSON = await loadPackJSON(installer, installer.worldBehaviorsJsonPath);
+    installer.installedWorldResources = null;
+    installer.installedWorldBehaviors = null;
+    await loadInstalledPacks(installer);
+    log.detail('BDSAddonInstaller - Using world ' + installer.worldName);
 }
 
-
 /**
- * Reads the world name from a BDS server.properties file.
- * @returns {String} The value found for level-name from server.properties.
- * NOTE: This function is Synchronous for use in the constructor without need for a callback.
+ * Updates the world name and the paths of the world files.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} name - The name of the world folder.
  */
-function readWorldName() {
-    let propertyFile = path.join(serverPath, 'server.properties');
-    log.detail('BDSAddonInstaller - Reading world name from ' + propertyFile);
-    if (!fs.existsSync(propertyFile)) throw new Error('Unable to locate server properties @ ' + propertyFile);
-    let properties = fs.readFileSync(propertyFile);
-    let levelName = properties.toString().match(/level-name=.*/);
-    if (!levelName) throw new Error('Unable to retrieve level-name from server properties.');
-    return levelName.toString().replace('level-name=', '');
+function setWorldPaths(installer, name) {
+    installer.worldName = name;
+    installer.worldResourcesJsonPath = path.join(installer.serverPath, worldFiles.resourcesJson.replace('<worldname>', installer.worldName));
+    installer.worldBehaviorsJsonPath = path.join(installer.serverPath, worldFiles.behaviorsJson.replace('<worldname>', installer.worldName));
+    installer.worldResourcesDir = path.join(installer.serverPath, worldFiles.resourcesDir.replace('<worldname>', installer.worldName));
+    installer.worldBehaviorsDir = path.join(installer.serverPath, worldFiles.behaviorsDir.replace('<worldname>', installer.worldName));
+    installer.levelDatPath = path.join(installer.serverPath, worldFiles.levelDat.replace('<worldname>', installer.worldName));
 }
 
 /**
- * Collects manifest information from all installed packs in provided location.
- * @param {String} directory - The path to the directory containing extracted/installed packs.
- * @returns {Map<PackData>} A collection of manifest information with the uuid as the key.
- * 
- * Bug Note:
- * Some of the vanilla packs are installed multiple times using the same uuid but different versions.
- * This causes the map to only capture the last read pack with that uuid.
- * This bug should not impact the installer, as there wont be a need to install / update vanilla packs. 
- * 
- * NOTE: This function is Synchronous for use in the constructor without need for a callback.
+ * Checks that a world folder exists in the worlds directory.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {String} name - The name of the world folder.
  */
+function checkWorld(installer, name) {
+    if (!name || !fs.existsSync(path.join(installer.worldsDir, name))) throw new Error('Unable to find the world in the worlds directory. ' + name);
+}
 
-function mapInstalledPacks(directory) {
-    // The provided directory may not exist if the world has no packs installed.
-    // Create the results Map & return empty if the directory does not exist.
-    let results = new Map();
-    if (!fs.pathExistsSync(directory)) return results;
-
-    // Extract manifest & path information for each installed pack
-    let subdirectories = fs.readdirSync(directory);
-    subdirectories.forEach(subdirectory => {
-        let location = path.join(directory, subdirectory);
-        log.detail('BDSAddonInstaller - Reading manifest data from ' + location);
-
-        // Locate the directory containing the pack manifest.
-        let manifestLocation = findFilesSync(['manifest.json', 'pack_manifest.json'], location);
-        if (!manifestLocation) {
-            log.error(manifestLocation);
-            log.warning('BDSAddonInstaller - Unable to locate manifest file of installed pack.');
-            log.warning('BDSAddonInstaller - Installed location: ' + location);
-            return;
-        }
+/**
+ * Maps the installed packs of the world & server pack directories again without blocking.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ */
+async function mapAllInstalledPacks(installer) {
+    installer.installedServerResources = null;
+    installer.installedServerBehaviors = null;
+    installer.installedWorldResources = null;
+    installer.installedWorldBehaviors = null;
+    await loadInstalledPacks(installer);
+}
 
-        // Check if pack is using a manifest.json or pack.manifest.json
-        let filePath = path.join(manifestLocation, 'manifest.json');
-        if (!fs.existsSync(filePath)) filePath = path.join(manifestLocation, 'pack_manifest.json');
-        let file = fs.readFileSync(filePath);
+/**
+ * Reads the install ledger containing the packs installed by BDSAddonInstaller.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {Map<LedgerRecord>} A collection of ledger records with the uuid as the key.
+ * NOTE: Installed packs are never assumed to be owned. Until the ledger is saved, packs matching a pack in BDS-Addons are adopted by the adoptPack function.
+ * NOTE: This function is Synchronous for use in the constructor, queued changes use loadLedger instead.
+ */
+function readLedger(installer) {
+    // Without a saved ledger nothing is owned yet, vanilla and manually installed packs must never be touched.
+    installer.adoptPacks = !fs.existsSync(installer.ledgerPath);
+    if (installer.adoptPacks) return new Map();
+    return parseLedger(installer, fs.readFileSync(installer.ledgerPath));
+}
 
-        // Some vanilla packs have comments in them, this is not valid JSON and needs to be removed.
-        file = stripJsonComments(file.toString());
-        let manifest = JSON.parse(file);
+/**
+ * Reads the install ledger containing the packs installed by BDSAddonInstaller without blocking.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @returns {Map<LedgerRecord>} A collection of ledger records with the uuid as the key.
+ */
+async function loadLedger(installer) {
+    installer.adoptPacks = !await fs.pathExists(installer.ledgerPath);
+    if (installer.adoptPacks) return new Map();
+    return parseLedger(installer, await fs.readFile(installer.ledgerPath));
+}
 
-        // Collect and map the manifest information
-        let uuid = manifest.header.uuid;
-        let name = manifest.header.name;
-        let version = manifest.header.version;
-        if (!version) version = manifest.header.modules[0].version;
-        results.set(uuid, {name, uuid, version, location}); 
-    });
+/**
+ * Parses the contents of the install ledger.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ * @param {Buffer} contents - The contents of the ledger file.
+ * @returns {Map<LedgerRecord>} A collection of ledger records with the uuid as the key.
+ */
+function parseLedger(installer, contents) {
+    // A corrupt ledger can not be safely ignored, without it vanilla packs may be mistaken for installed packs.
+    let results = new Map();
+    let state;
+    try { state = JSON.parse(contents) } catch(err) {
+        throw new Error('Unable to read the install ledger. Repair or delete the file to continue.\n' + installer.ledgerPath);
+    }
+    if (!state || !Array.isArray(state.packs)) throw new Error('Unable to read the install ledger. Unknown ledger format.\n' + installer.ledgerPath);
+    state.packs.forEach(record => results.set(record.uuid, record));
     return results;
 }
 
+/**
+ * Saves the install ledger to the BDS-Addons directory.
+ * @param {BDSAddonInstaller} installer - The installer managing the server.
+ */
+async function saveLedger(installer) {
+    let state = {packs: Array.from(installer.ledger.values())};
+    await writeJSON(installer, installer.ledgerPath, state);
+}
+
 ////////////////////////////////////////////////////////////////////
 // Misc helper functions
 
@@ -524,6 +4302,80 @@ function findIndexOf(objectArray, key, value) {
     return -1;
 }
 
+/**
+ * Compares two pack versions.
+ * @param {Number[]|String} a - A version array or version string such as 1.2.3.
+ * @param {Number[]|String} b - A version array or version string such as 1.2.3.
+ * @returns {Number} A negative number if a is older, a positive number if a is newer or 0 if they match.
+ */
+function compareVersions(a, b) {
+    let parse = version => (Array.isArray(version) ? version : String(version).split(/[.-]/)).slice(0, 3).map(part => parseInt(part) || 0);
+    a = parse(a);
+    b = parse(b);
+    for (let index = 0; index < 3; index++) {
+        let difference = (a[index] || 0) - (b[index] || 0);
+        if (difference != 0) return difference;
+    }
+    return 0;
+}
+
+/**
+ * Formats a pack version for logging. Exported for the command line tool.
+ * @param {Number[]|String} version - A version array or version string.
+ * @returns {String} The version formatted as major.minor.patch.
+ */
+export function formatVersion(version) {
+    return Array.isArray(version) ? version.join('.') : String(version);
+}
+
+/**
+ * Summarises the size and modification time of a file, or of every file in a folder.
+ * Used to tell when a pack has finished being written.
+ * @param {String} location - The file or folder to read.
+ * @returns {String} The summary or null if the location does not exist.
+ */
+function readSourceState(location) {
+    if (!fs.existsSync(location)) return null;
+    let stat = fs.statSync(location);
+    if (!stat.isDirectory()) return `${stat.size}:${stat.mtimeMs}`;
+    return fs.readdirSync(location).sort().map(file => file + '=' + readSourceState(path.join(location, file))).join(';');
+}
+
+/**
+ * Calculates the sha256 hash of the provided file, or of the names and contents of every file in the provided folder.
+ * @param {String} location - The file or folder to hash.
+ * @returns {String} The hex encoded hash.
+ */
+async function hashSource(location) {
+    if (!(await fs.stat(location)).isDirectory()) return hashFile(location);
+    let hash = crypto.createHash('sha256');
+    let hashFolder = async folder => {
+        for (let file of (await fs.readdir(folder)).sort()) {
+            let filePath = path.join(folder, file);
+            hash.update(path.relative(location, filePath));
+            if ((await fs.stat(filePath)).isDirectory()) await hashFolder(filePath);
+            else hash.update(await fs.readFile(filePath));
+        }
+    };
+    await hashFolder(location);
+    return hash.digest('hex');
+}
+
+/**
+ * Calculates the sha256 hash of the provided file.
+ * @param {String} file - The file to hash.
+ * @returns {String} The hex encoded hash of the file contents.
+ */
+function hashFile(file) {
+    return new Promise(function(resolve, reject) {
+        let hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', data => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
 /**
  * Extracts all of the contents from a provided .zip archive. 
  * @param {String} file - The file to extract the contents from.
@@ -545,13 +4397,36 @@ function promiseExtract(file, destination) {
  * @param {String} destinationFile - The file to save the archive as.  
  */
 function promiseZip(folder, destinationFile) {
+    return promiseZipFolders([{location: folder, name: ''}], [], destinationFile);
+}
+
+/**
+ * Creates a zip archive from folders and generated files.
+ * @param {Object[]} folders - The {location, name} of each folder to add. Folders without a name are added to the root of the archive.
+ * @param {Object[]} files - The {name, data} of each generated file to add to the root of the archive.
+ * @param {String} destinationFile - The path of the zip archive to create.
+ * @param {String[]} skip - Optional names of files & folders to leave out of the folders added to the root of the archive.
+ */
+function promiseZipFolders(folders, files, destinationFile, skip = []) {
     return new Promise(async function(resolve, reject) {
         let archive = new admZip();
-        let contents = await fs.readdir(folder);
-        for (let file of contents) {
-            let filePath = path.join(folder, file);
-            let stat = await fs.stat(filePath);
-            stat.isFile() ? archive.addLocalFile(filePath) : archive.addLocalFolder(filePath, file);
+        try {
+            for (let folder of folders) {
+                if (folder.name) {
+                    archive.addLocalFolder(folder.location, folder.name);
+                    continue;
+                }
+                let contents = await fs.readdir(folder.location);
+                for (let file of contents.filter(file => !skip.includes(file))) {
+                    let filePath = path.join(folder.location, file);
+                    let stat = await fs.stat(filePath);
+                    stat.isFile() ? archive.addLocalFile(filePath) : archive.addLocalFolder(filePath, file);
+                }
+            }
+            files.forEach(file => archive.addFile(file.name, Buffer.from(file.data)));
+            await fs.ensureDir(path.dirname(destinationFile));
+        } catch (err) {
+            return reject(err);
         }
         archive.writeZip(destinationFile, err => {
             if (err) return reject(err);
@@ -588,6 +4463,54 @@ function findFilesSync(filenames, directory) {
     return null;
 }
 
+/**
+ * Attempt to locate the subdirectory containing one of the provided file names without blocking.
+ * @param {String[]} filenames - The name of files to search for.
+ * @param {String} directory - The directory to search in.
+ * @returns {String} The path to the first folder containing one of the files or null.
+ */
+async function findFiles(filenames, directory) {
+    const contents = await fs.readdir(directory);
+    if (contents.some(file => filenames.includes(file))) return directory;
+    for (let subDir of contents) {
+        let dirPath = path.join(directory, subDir);
+        if (!(await fs.stat(dirPath)).isDirectory()) continue;
+        let subDirectoryResult = await findFiles(filenames, dirPath);
+        if (subDirectoryResult) return subDirectoryResult;
+    }
+    return null;
+}
+
+/**
+ * Locates every pack in the provided directory, using the same search as findFilesSync.
+ * Folders inside of a pack are not searched, so the files of a pack are not mistaken for packs.
+ * @param {String} directory - The directory to search in.
+ * @returns {SourcePack[]} The pack folders and archives found.
+ */
+function findSourcePacks(directory) {
+    const contents = fs.readdirSync(directory);
+    if (contents.some(file => manifestFiles.includes(file))) return [{location: directory, archive: false}];
+
+    let results = [];
+    for (let file of contents) {
+        let filePath = path.join(directory, file);
+        if (fs.statSync(filePath).isDirectory()) results = results.concat(findSourcePacks(filePath));
+        else if (archivePattern.test(file)) results.push({location: filePath, archive: true});
+    }
+    return results;
+}
+
+/**
+ * Locates the manifest file of an unpacked pack.
+ * @param {String} folder - The pack folder containing the manifest.
+ * @returns {String} The path to the manifest.json or pack_manifest.json file.
+ */
+function findManifestFile(folder) {
+    let filePath = path.join(folder, 'manifest.json');
+    if (!fs.existsSync(filePath)) filePath = path.join(folder, 'pack_manifest.json');
+    return filePath;
+}
+
 
 //TODO: Add type definitions for the manifest files. 
 
@@ -597,5 +4520,375 @@ function findFilesSync(filenames, directory) {
  * @property {String} uuid - The uuid found in the packs manifest.json file.
  * @property {String} version - the version found in the packs manifest.json fle.
  * @property {String} location - The full path to the root directory of the installed pack. 
+ * @property {Object[]} dependencies - The dependencies found in the packs manifest.json file.
  * Used by the mapInstalledPacks function
+ */
+
+/**
+ * @typedef {Object} PackStatus - The install status of a pack found on the server or world.
+ * @property {String} name - The name found in the packs manifest.json file.
+ * @property {String} uuid - The uuid found in the packs manifest.json file.
+ * @property {Number[]} version - The version found in the packs manifest.json file.
+ * @property {String} type - The pack type, either resources or data.
+ * @property {String} world - The name of the world the status was read from.
+ * @property {String} worldFolder - The full path to the pack installed in the world or null.
+ * @property {String} serverFolder - The full path to the pack installed on the server or null.
+ * @property {Boolean} inWorldJSON - Is the pack listed in the world_resource_packs.json or world_behavior_packs.json file?
+ * @property {Boolean} inServerJSON - Is the pack listed in the valid_known_packs.json file?
+ * @property {String} status - Where the pack is listed, one of world, server, both or none.
+ * @property {Boolean} managed - Was the pack installed by BDSAddonInstaller?
+ * @property {String} source - The pack or addon file the pack was installed from or null if it is not known.
+ * @property {Boolean} disabled - Was the pack disabled for the world with disablePack?
+ * Used by the listPacks function
+ */
+
+/**
+ * @typedef {Object} LedgerRecord - A pack installed by BDSAddonInstaller, saved in BDS-Addons/.installer-state.json.
+ * @property {String} uuid - The uuid found in the packs manifest.json file.
+ * @property {String} name - The name found in the packs manifest.json file.
+ * @property {Number[]} version - The version found in the packs manifest.json file.
+ * @property {String} type - The pack type, either resources or data.
+ * @property {Object<String, LedgerWorld>} worlds - The worlds the pack is installed to with the world name as the key.
+ * @property {String} folder - The server install folder, relative to the server path.
+ * @property {String} source - The file name of the pack or addon that was installed, or the source an adopted pack was matched to.
+ * @property {String} sourceEntry - The name of the pack inside of the source addon or null if the source is a pack.
+ * @property {String} hash - The sha256 hash of the pack file installed to the server or null for adopted packs.
+ * @property {String} installed - The ISO date of the installation or null for adopted packs.
+ * Used by the readLedger & saveLedger functions
+ */
+
+/**
+ * @typedef {Object} ScriptConfig - The config files needed by the script modules of a pack.
+ * @property {String} folder - The full path to the config folder, named after the script module uuid.
+ * @property {Object<String, Object>} files - The default contents of each missing file with the file name as the key.
+ * Used by the getScriptConfig & scaffoldScriptConfig functions
+ */
+
+/**
+ * @typedef {Object} InstallSummary - The result of an install run.
+ * @property {PackResult[]} packs - The result of each pack, in the order they were handled.
+ * @property {Boolean} rolledBack - Did a pack fail after changing the server? If so every change from the run was restored.
+ * @property {Conflict[]} conflicts - The conflicts involving the installed packs, only set when the checkConflicts option is used.
+ * Returned by the installAddon & installAllAddons functions
+ */
+
+/**
+ * @typedef {Object} PackResult - The action taken for a pack.
+ * @property {String} name - The name found in the packs manifest.json file, or the file name if it could not be read.
+ * @property {String} uuid - The uuid found in the packs manifest.json file or null.
+ * @property {Number[]} version - The version found in the packs manifest.json file or null.
+ * @property {Number[]} installedVersion - The version that was installed before the run or null.
+ * @property {String} type - The pack type, such as resources or data, or null if it is not known.
+ * @property {String} file - The full path to the pack file, staged packs are in BDS-Addons/.cache/.
+ * @property {String} source - The file name of the pack or the addon/folder it came from.
+ * @property {String} world - The world the pack was installed to or removed from.
+ * @property {String} action - One of new, upgraded, downgraded, reinstalled, unchanged, skipped, failed or removed.
+ * @property {String} error - Why the pack was skipped or failed, otherwise null.
+ * Emitted with the pack events and used by the InstallSummary
+ */
+
+/**
+ * @typedef {Object} ExtractProgress - The progress of staging the packs from an addon or folder.
+ * @property {String} source - The full path to the addon or folder being staged.
+ * @property {String} entry - The location of the pack being staged within the source, or null for the root.
+ * @property {Number} current - The number of the pack being staged.
+ * @property {Number} total - The number of packs found in the source.
+ * Emitted with the extract:progress event
+ */
+
+/**
+ * @typedef {Object} Watcher - Watches the BDS-Addons directory for changes.
+ * @property {Function} close - Stops watching the directory. Resolves once the change being handled has finished.
+ * Used by the watch function
+ */
+
+/**
+ * @typedef {Object} SourcePack - A pack found in an extracted or unpacked source.
+ * @property {String} location - The full path to the pack folder or archive.
+ * @property {Boolean} archive - Is the pack an archive rather than a folder?
+ * Used by the findSourcePacks & expandSourcePacks functions
+ */
+
+/**
+ * @typedef {Object} PackFile - A pack file waiting to be installed.
+ * @property {String} file - The full path to the pack file.
+ * @property {Object} manifest - The parsed manifest.json file of the pack or null if it could not be read.
+ * @property {Error} error - Set if the pack can not be installed because of its dependencies.
+ * @property {String} hash - The sha256 hash of the pack file, only set when planning an installation.
+ * @property {PackEntry[]} entries - The files of the pack, only set when checking for conflicts.
+ * Used by the sortByDependencies function
+ */
+
+/**
+ * @typedef {Object} InstallDecision - How a pack will be installed.
+ * @property {String} action - One of new, upgraded, downgraded, reinstalled, unchanged or skipped.
+ * @property {String} reason - The reason a pack is skipped or null.
+ * @property {Boolean} world - Does the pack need to be installed to the active world?
+ * @property {Boolean} server - Does the pack need to be installed to the server?
+ * Used by the decideInstall function
+ */
+
+/**
+ * @typedef {Object} InstallPlan - The changes an installation would make, created without writing anything.
+ * @property {String} world - The name of the world the plan was created for.
+ * @property {PlannedPack[]} packs - The action planned for each pack in BDS-Addons, in install order.
+ * @property {Object} folders - The full paths of the folders that would be created and deleted {create: String[], delete: String[]}.
+ * @property {PlannedEntry[]} json - The pack JSON entries that would be added or removed.
+ * Used by the plan function
+ */
+
+/**
+ * @typedef {Object} PlannedPack - The action planned for a pack.
+ * @property {String} name - The name found in the packs manifest.json file.
+ * @property {String} uuid - The uuid found in the packs manifest.json file.
+ * @property {Number[]} version - The version found in the packs manifest.json file.
+ * @property {Number[]} installedVersion - The version currently installed or null.
+ * @property {String} type - The pack type, either resources or data.
+ * @property {String} source - The pack file, or location in an addon, the pack would be installed from.
+ * @property {String} action - One of new, upgraded, downgraded, reinstalled, unchanged, skipped, removed, failed or download. Sources that are not in the download cache have the download action.
+ * @property {String} error - The reason a pack would be skipped or fail to install, otherwise null.
+ */
+
+/**
+ * @typedef {Object} PlannedEntry - A pack JSON entry that would be changed.
+ * @property {String} file - The full path of the JSON file.
+ * @property {String} change - Either add or remove.
+ * @property {String} uuid - The id of the pack.
+ * @property {Number[]|String} version - The version of the pack.
+ */
+
+/**
+ * @typedef {Object} LedgerWorld - A world that a pack from the install ledger is installed to.
+ * @property {String} folder - The world install folder, relative to the server path.
+ * @property {String} hash - The sha256 hash of the pack file installed to the world or null for adopted packs.
+ * @property {DisabledPack} disabled - Set while the pack is disabled for the world.
+ */
+
+/**
+ * @typedef {Object} DisabledPack - The entries removed from the pack JSON files when a pack was disabled.
+ * @property {Number} index - The position of the pack in the world pack JSON file or -1 if it was not listed.
+ * @property {Object} entry - The entry removed from the world pack JSON file or null.
+ * @property {Number} serverIndex - The position of the pack in valid_known_packs.json or -1 if it was not removed.
+ * @property {Object} serverEntry - The entry removed from valid_known_packs.json or null.
+ * Used by the disablePack & enablePack functions
+ */
+
+/**
+ * @typedef {Object} InstallerOptions - Optional settings for BDSAddonInstaller.
+ * @property {String} world - The name of the world to use instead of the level-name from server.properties.
+ * @property {Number} snapshotRetention - The number of snapshots to keep, defaults to 10.
+ * @property {String} downgrade - How older versions of installed packs are handled. One of allow, warn or refuse, defaults to refuse.
+ * @property {Boolean} strict - Refuse to install packs that have validation warnings.
+ * @property {String} priority - Where new packs are inserted into the pack stacks, either top or bottom. Defaults to the priority in bds-addons.json or top.
+ * @property {Number} downloadRetries - The number of times a failed download is retried, defaults to 2.
+ * @property {Number} downloadTimeout - The number of milliseconds a download may go without receiving data, defaults to 30000.
+ * @property {Number} lockTimeout - The number of milliseconds to wait for another installer to finish changing the server, defaults to 30000.
+ * @property {Boolean} experiments - Set to false to stop the experiments that packs need from being enabled automatically.
+ * @property {Boolean} texturepackRequired - Set texturepack-required=true in server.properties when resource packs are installed, so players must download them.
+ * @property {Boolean} checkConflicts - Check the packs for conflicts before they are installed, logging a warning for each conflict.
+ */
+
+/**
+ * @typedef {Object} PackOrder - The pack stacks of a world, the first pack has the highest priority.
+ * @property {String} world - The name of the world.
+ * @property {OrderedPack[]} resources - The packs listed in world_resource_packs.json.
+ * @property {OrderedPack[]} behaviors - The packs listed in world_behavior_packs.json.
+ * Used by the listPackOrder & movePack functions
+ */
+
+/**
+ * @typedef {Object} OrderedPack - A pack in a world pack stack.
+ * @property {Number} position - The position of the pack, starting at 1 for the highest priority.
+ * @property {String} name - The name of the pack or null if it is not installed.
+ * @property {String} uuid - The uuid of the pack.
+ * @property {Number[]} version - The version listed in the world pack JSON file.
+ * @property {Boolean} managed - True if the pack was installed by BDSAddonInstaller.
+ */
+
+/**
+ * @typedef {Object} PackPosition - Where to move a pack in its world pack stack, only one property should be set.
+ * @property {String} before - The uuid or name of the pack to move above.
+ * @property {String} after - The uuid or name of the pack to move below.
+ * @property {Boolean} top - Move the pack to the top of the stack.
+ * @property {Boolean} bottom - Move the pack to the bottom of the stack.
+ * Used by the movePack function
+ */
+
+/**
+ * @typedef {Object} ServerProperties - A parsed server.properties file.
+ * @property {Object[]} lines - The {raw, key, value} of each line. Comments and blank lines have no key.
+ * @property {String} eol - The line ending used by the file.
+ * @property {Boolean} finalNewline - Does the file end with a line ending?
+ * Used by the parseProperties & formatProperties functions
+ */
+
+/**
+ * @typedef {Object} LevelDat - A parsed Bedrock level.dat file.
+ * @property {Number} version - The storage version from the file header.
+ * @property {NBTTag} root - The root compound tag.
+ * Used by the readLevelDat & writeLevelDat functions
+ */
+
+/**
+ * @typedef {Object} NBTTag - A named NBT tag.
+ * @property {Number} type - The tag type, one of the nbtTypes values.
+ * @property {String} name - The name of the tag.
+ * @property {*} value - The value of the tag. Longs are BigInts, compounds are arrays of NBTTags, lists are {itemType, items} with unnamed values.
+ */
+
+/**
+ * @typedef {Object} Experiment - An experiment toggle of a world.
+ * @property {String} key - The name of the tag in the experiments tag of level.dat, such as gametest.
+ * @property {String} name - The name shown by the game, such as Beta APIs.
+ * @property {Boolean} enabled - Is the experiment turned on?
+ */
+
+/**
+ * @typedef {Object} PackFolder - A folder found in one of the pack directories.
+ * @property {String} location - The full path to the folder.
+ * @property {Object} manifest - The parsed manifest.json file of the pack or null if it could not be read.
+ * @property {String} error - The reason the manifest could not be read or null.
+ * Used by the readPackFolders function
+ */
+
+/**
+ * @typedef {Object} PackIndex - The manifests of the installed pack folders, saved in BDS-Addons/.pack-index.json.
+ * @property {Number} indexVersion - The version of the index format.
+ * @property {Object<String, IndexedFolder>} folders - Each indexed folder with its path relative to the server as the key.
+ * Used by the readPackFolders function
+ */
+
+/**
+ * @typedef {Object} IndexedFolder - A pack folder saved in the manifest index.
+ * @property {Number} mtime - The modification time of the folder when its manifest was read.
+ * @property {String} manifestFile - The path to the manifest file, relative to the folder.
+ * @property {Number} manifestMtime - The modification time of the manifest file when it was read.
+ * @property {Object} manifest - The parsed manifest file.
+ * Used by the readPackFolders function
+ */
+
+/**
+ * @typedef {Object} DoctorReport - The problems found by doctor.
+ * @property {String} world - The name of the world that was checked with the server.
+ * @property {DoctorProblem[]} problems - Each problem that was found.
+ */
+
+/**
+ * @typedef {Object} DoctorProblem - A problem found by doctor.
+ * @property {String} type - One of corrupt-json, missing-pack, unlisted-pack, missing-path, duplicate-uuid, version-mismatch or missing-manifest.
+ * @property {String} file - The full path to the file or folder with the problem.
+ * @property {String} uuid - The uuid of the pack or null if it is not known.
+ * @property {String} message - A description of the problem.
+ * @property {Boolean} fixable - Can the problem be repaired with fix?
+ * @property {Boolean} fixed - Was the problem repaired?
+ * @property {String} error - The reason the repair failed or null.
+ */
+
+/**
+ * @typedef {Object} ConflictReport - The conflicts found between the packs of a world.
+ * @property {String} world - The name of the world that was checked.
+ * @property {Conflict[]} conflicts - Each conflict that was found.
+ */
+
+/**
+ * @typedef {Object} Conflict - A file or identifier provided by more than one pack.
+ * @property {String} type - One of file, entity, item, block, recipe or loot_table.
+ * @property {String} key - The file path inside of the packs, or the identifier such as demo:ghost. Loot tables use their file path.
+ * @property {String} packType - The type of the packs, either resources or data.
+ * @property {ConflictPack[]} packs - The packs providing the key, highest priority first.
+ * @property {Object} winner - The pack that is used by the game {name: String, uuid: String, position: Number}.
+ * @property {String} message - A description of the conflict.
+ */
+
+/**
+ * @typedef {Object} ConflictPack - A pack that is part of a conflict.
+ * @property {Number} position - The position of the pack in the world pack stack, starting at 1 for the highest priority.
+ * @property {String} name - The name found in the packs manifest.json file.
+ * @property {String} uuid - The uuid found in the packs manifest.json file.
+ * @property {Number[]} version - The version found in the packs manifest.json file.
+ * @property {Boolean} installed - Is the pack listed in the world pack JSON file?
+ * @property {Boolean} pending - Is the pack waiting to be installed or upgraded from BDS-Addons? Its position is where it would be installed.
+ * @property {String} source - The installed pack folder, or the pack in BDS-Addons for pending packs.
+ * @property {String} file - The file the key was found in, relative to the pack.
+ */
+
+/**
+ * @typedef {Object} PackEntry - A file inside of a pack folder or archive.
+ * @property {String} name - The path of the file relative to the pack, using forward slashes.
+ * @property {Function} read - Reads the contents of the file as text.
+ * Used by the readConflictKeys function
+ */
+
+/**
+ * @typedef {Object} ExportOptions - Optional settings for exportPacks.
+ * @property {String} format - The archive format, either mcaddon or mcworld. Defaults to mcaddon.
+ * @property {String[]} types - The pack types to export, resources and/or data. Defaults to both.
+ * @property {String[]} uuids - The uuids of the packs to export. Defaults to every pack listed in the world.
+ * @property {String} output - The path of the archive to create. Defaults to exports/<world name>.<format> in the server folder.
+ */
+
+/**
+ * @typedef {Object} ExportResult - The archive created by exportPacks.
+ * @property {String} file - The full path to the archive.
+ * @property {String} format - The archive format, either mcaddon or mcworld.
+ * @property {String} world - The name of the world the packs were exported from.
+ * @property {Object[]} packs - The name, uuid, version and type of each exported pack.
+ */
+
+/**
+ * @typedef {Object} PackConfig - The packs listed in the bds-addons.json file at the server root.
+ * @property {String} priority - Where new packs are inserted into the pack stacks, either top or bottom. Defaults to top.
+ * @property {ConfigSource[]} sources - The remote packs installed with the packs in BDS-Addons.
+ * @property {PackConfigEntry[]} packs - The desired packs or null if the file does not list any, only used by sync.
+ * Used by the readPackConfig & sync functions
+ */
+
+/**
+ * @typedef {Object} PackConfigEntry - A pack listed in bds-addons.json.
+ * @property {String} source - The pack, addon or folder to install, relative to BDS-Addons or the server root, an http(s) URL, or null.
+ * @property {String} uuid - The uuid of the pack, used to find the pack in BDS-Addons or to choose one pack from the source, or null.
+ * @property {Number[]} version - The pinned version or null for the newest version found. Strings such as 1.2.0 are also accepted.
+ * @property {String[]} worlds - The worlds to install the pack to or null for the active world.
+ * @property {Boolean} enabled - Should the pack be installed? Defaults to true.
+ * @property {Number} order - The position of the pack at the top of the world stack, lowest first, or null to leave it where it is installed.
+ * @property {String} subpack - The folder name of the subpack to use or null.
+ * @property {String} sha256 - The sha256 hash the source file must match or null.
+ */
+
+/**
+ * @typedef {Object} ConfigSource - A remote pack listed in the sources of bds-addons.json.
+ * @property {String} url - The http or https URL of the pack, addon or zip file.
+ * @property {String} sha256 - The sha256 hash the download must match or null.
+ * Used by the readPackConfig & downloadConfigSources functions
+ */
+
+/**
+ * @typedef {Object} ResolvedEntry - A config entry with the packs that were found for it.
+ * @property {PackConfigEntry} entry - The config entry.
+ * @property {PackFile[]} packs - The pack files to install.
+ * @property {String[]} uuids - The uuids of the packs the entry keeps installed.
+ * Used by the sync function
+ */
+
+/**
+ * @typedef {Object} ValidationResult - The problems found while validating a pack.
+ * @property {String} file - The pack file, or location in an addon, that was validated.
+ * @property {String} name - The name found in the packs manifest.json file or null.
+ * @property {String} uuid - The uuid found in the packs manifest.json file or null.
+ * @property {String[]} errors - Problems that prevent the pack from being installed.
+ * @property {String[]} warnings - Problems that may stop the pack from working. These prevent installation in strict mode.
+ * Used by the validatePack & validateAllAddons functions
+ */
+
+/**
+ * @typedef {Object} Snapshot - The state of the server saved before a run, stored in BDS-Addons/.snapshots/<id>/.
+ * @property {String} id - The id of the snapshot, based on the time it was created.
+ * @property {String} created - The ISO date the snapshot was created.
+ * @property {String} world - The active world when the snapshot was created.
+ * @property {String} status - Either running or complete. Running snapshots are from runs that did not finish.
+ * @property {Number} changes - The number of changes made to the server during the run.
+ * @property {String[]} files - The JSON files saved in the snapshot, relative to the server path.
+ * @property {String[]} missingFiles - The JSON files that did not exist when the snapshot was created.
+ * @property {String[]} folders - The pack folders saved before they were replaced or deleted.
+ * @property {String[]} createdFolders - The pack folders that did not exist before the run.
  */
\ No newline at end of file
@@ -0,0 +1,204 @@
+// Tests installing packs from URLs against a local HTTP server.
+// Usage: npm test
+
+import {createInstaller, createServer, createPack} from './helpers.js';
+import {describe, it, before, after, beforeEach, afterEach} from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import http from 'http';
+import path from 'path';
+import fs from 'fs-extra';
+
+const packUuid = '4b5e2f7a-1c3d-4e8f-9a0b-6c7d8e9f0a1b';
+const secondPackUuid = '7e8f9a0b-2d3e-4f5a-8b6c-1d2e3f4a5b6c';
+
+// Each test changes how the server responds. Every request is recorded so tests can check what was sent.
+let server;
+let baseUrl;
+let routes = {};
+let requests = [];
+let serverPath;
+
+describe('installing packs from URLs', () => {
+    before(async () => {
+        server = http.createServer((request, response) => {
+            requests.push({url: request.url, headers: request.headers});
+            let route = routes[request.url];
+            if (!route) {
+                response.writeHead(404);
+                return response.end();
+            }
+            route(request, response);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        routes = {};
+        requests = [];
+        serverPath = createServer();
+    });
+
+    afterEach(() => fs.removeSync(serverPath));
+
+    it('reuses the cached download while the ETag is unchanged', async () => {
+        let pack = createPack('Remote', packUuid, [1, 0, 0]);
+        routes['/remote.mcpack'] = servePack(pack, '"v1"');
+        let installer = await createInstaller(serverPath);
+
+        let first = await installer.installAddon(baseUrl + '/remote.mcpack');
+        assert.deepStrictEqual(first.packs.map(result => result.action), ['new']);
+        assert.strictEqual(requests[0].headers['if-none-match'], undefined);
+
+        // The cached ETag is sent, and the matching ETag is answered with 304 and no body.
+        let second = await installer.installAddon(baseUrl + '/remote.mcpack');
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(requests[1].headers['if-none-match'], '"v1"');
+        assert.deepStrictEqual(second.packs.map(result => result.action), ['unchanged']);
+    });
+
+    it('downloads the file again when the ETag changes', async () => {
+        routes['/remote.mcpack'] = servePack(createPack('Remote', packUuid, [1, 0, 0]), '"v1"');
+        let installer = await createInstaller(serverPath);
+        await installer.installAddon(baseUrl + '/remote.mcpack');
+
+        routes['/remote.mcpack'] = servePack(createPack('Remote', packUuid, [1, 1, 0]), '"v2"');
+        let summary = await installer.installAddon(baseUrl + '/remote.mcpack');
+        assert.strictEqual(requests[1].headers['if-none-match'], '"v1"');
+        assert.deepStrictEqual(summary.packs.map(result => result.action), ['upgraded']);
+        assert.deepStrictEqual(installer.listPacks().find(pack => pack.uuid == packUuid).version, [1, 1, 0]);
+    });
+
+    it('uses the cached download without a request when the sha256 matches', async () => {
+        let pack = createPack('Remote', packUuid, [1, 0, 0]);
+        routes['/remote.mcpack'] = servePack(pack, '"v1"');
+        let installer = await createInstaller(serverPath);
+        let sha256 = hash(pack);
+
+        await installer.installAddon(baseUrl + '/remote.mcpack', {sha256});
+        let summary = await installer.installAddon(baseUrl + '/remote.mcpack', {sha256});
+        assert.strictEqual(requests.length, 1);
+        assert.deepStrictEqual(summary.packs.map(result => result.action), ['unchanged']);
+    });
+
+    it('refuses a download that does not match the sha256 before extracting it', async () => {
+        routes['/remote.mcpack'] = servePack(createPack('Remote', packUuid, [1, 0, 0]), '"v1"');
+        let installer = await createInstaller(serverPath);
+
+        let summary = await installer.installAddon(baseUrl + '/remote.mcpack', {sha256: '0'.repeat(64)});
+        assert.strictEqual(summary.packs.length, 1);
+        assert.strictEqual(summary.packs[0].action, 'failed');
+        assert.match(summary.packs[0].error, /sha256 hash .* does not match/);
+
+        // Nothing was extracted or installed, and the bad download was removed from the cache.
+        assert.strictEqual(installer.listPacks().some(pack => pack.uuid == packUuid), false);
+        assert.strictEqual(fs.existsSync(path.join(serverPath, 'worlds', 'Bedrock level', 'behavior_packs', 'Remote')), false);
+        assert.strictEqual(fs.existsSync(path.join(serverPath, 'BDS-Addons', '.cache')), false);
+        assert.deepStrictEqual(fs.readdirSync(path.join(serverPath, 'BDS-Addons', '.downloads')), []);
+    });
+
+    it('retries a download after a 5xx response', async () => {
+        let pack = createPack('Remote', packUuid, [1, 0, 0]);
+        let failures = 2;
+        routes['/remote.mcpack'] = (request, response) => {
+            if (failures-- > 0) {
+                response.writeHead(503);
+                return response.end();
+            }
+            servePack(pack, '"v1"')(request, response);
+        };
+        let installer = await createInstaller(serverPath, {downloadRetries: 2});
+
+        let summary = await installer.installAddon(baseUrl + '/remote.mcpack');
+        assert.strictEqual(requests.length, 3);
+        assert.deepStrictEqual(summary.packs.map(result => result.action), ['new']);
+    });
+
+    it('does not retry responses that will not change', async () => {
+        let installer = await createInstaller(serverPath, {downloadRetries: 2});
+
+        let summary = await installer.installAddon(baseUrl + '/missing.mcpack');
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(summary.packs[0].action, 'failed');
+        assert.match(summary.packs[0].error, /status 404/);
+    });
+
+    it('stops a download that goes longer than the timeout without data', async () => {
+        // The response is never sent, the connection is closed when the server stops.
+        routes['/slow.mcpack'] = () => {};
+        let installer = await createInstaller(serverPath, {downloadRetries: 1, downloadTimeout: 100});
+
+        let summary = await installer.installAddon(baseUrl + '/slow.mcpack');
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(summary.packs[0].action, 'failed');
+        assert.match(summary.packs[0].error, /timed out after 100ms/);
+    });
+
+    it('installs the sources listed in bds-addons.json', async () => {
+        let second = createPack('Second', secondPackUuid, [1, 0, 0]);
+        routes['/remote.mcpack'] = servePack(createPack('Remote', packUuid, [1, 0, 0]), '"v1"');
+        routes['/second.mcpack'] = servePack(second, '"v1"');
+        fs.writeJsonSync(path.join(serverPath, 'bds-addons.json'), {
+            sources: [baseUrl + '/remote.mcpack', {url: baseUrl + '/second.mcpack', sha256: hash(second)}, baseUrl + '/missing.mcpack']
+        });
+        let installer = await createInstaller(serverPath);
+
+        let summary = await installer.installAllAddons();
+        let actions = Object.fromEntries(summary.packs.map(result => [result.name, result.action]));
+        assert.strictEqual(actions.Remote, 'new');
+        assert.strictEqual(actions.Second, 'new');
+        assert.strictEqual(summary.packs.filter(result => result.action == 'failed').length, 1);
+        assert.deepStrictEqual(installer.listPackOrder().behaviors.map(pack => pack.uuid).sort(), [packUuid, secondPackUuid].sort());
+    });
+
+    it('plans the sources listed in bds-addons.json without downloading them', async () => {
+        let pack = createPack('Remote', packUuid, [1, 0, 0]);
+        routes['/remote.mcpack'] = servePack(pack, '"v1"');
+        routes['/second.mcpack'] = servePack(createPack('Second', secondPackUuid, [1, 0, 0]), '"v1"');
+        let installer = await createInstaller(serverPath);
+        await installer.installAddon(baseUrl + '/remote.mcpack', {sha256: hash(pack)});
+        requests = [];
+        fs.writeJsonSync(path.join(serverPath, 'bds-addons.json'), {sources: [baseUrl + '/remote.mcpack', baseUrl + '/second.mcpack']});
+        let downloads = fs.readdirSync(path.join(serverPath, 'BDS-Addons', '.downloads'));
+
+        // The cached source is planned from the cache, the other source would be downloaded.
+        let plan = await installer.plan();
+        let actions = Object.fromEntries(plan.packs.map(result => [result.name, result.action]));
+        assert.strictEqual(actions.Remote, 'unchanged');
+        assert.strictEqual(actions['second.mcpack'], 'download');
+        assert.strictEqual(requests.length, 0);
+        assert.deepStrictEqual(fs.readdirSync(path.join(serverPath, 'BDS-Addons', '.downloads')), downloads);
+    });
+});
+
+/**
+ * Creates a route that sends a pack, answering requests with a matching If-None-Match header with 304.
+ * @param {Buffer} pack - The contents of the pack.
+ * @param {String} etag - The ETag of the pack.
+ * @returns {Function} The route.
+ */
+function servePack(pack, etag) {
+    return (request, response) => {
+        if (request.headers['if-none-match'] == etag) {
+            response.writeHead(304, {'ETag': etag});
+            return response.end();
+        }
+        response.writeHead(200, {'ETag': etag, 'Content-Length': pack.length});
+        response.end(pack);
+    };
+}
+
+/**
+ * Hashes the contents of a pack.
+ * @param {Buffer} data - The contents of the pack.
+ * @returns {String} The sha256 hash.
+ */
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
@@ -0,0 +1,68 @@
+// Shared helpers for creating test servers, installers and packs.
+
+import BDSAddonInstaller from '../index.js';
+import admZip from 'adm-zip';
+import crypto from 'crypto';
+import path from 'path';
+import os from 'os';
+import fs from 'fs-extra';
+
+/**
+ * Creates an installer for a test server with logging turned off.
+ * @param {String} serverPath - The path to the test server.
+ * @param {Object} options - Optional installer options.
+ * @returns {BDSAddonInstaller} The installer.
+ */
+export async function createInstaller(serverPath, options = {}) {
+    let installer = await BDSAddonInstaller.create(serverPath, false, options);
+    installer.setLogConfig({logGeneral: false, logWarning: false, logError: false, logDetail: false, logDebug: false});
+    return installer;
+}
+
+/**
+ * Creates an empty Bedrock Dedicated Server in the OS temporary directory.
+ * @returns {String} The path to the server.
+ */
+export function createServer() {
+    let location = fs.mkdtempSync(path.join(os.tmpdir(), 'bds-addon-installer-test-'));
+    fs.outputJsonSync(path.join(location, 'valid_known_packs.json'), [{file_version: 2}]);
+    fs.outputFileSync(path.join(location, 'server.properties'), 'level-name=Bedrock level\n');
+    fs.ensureDirSync(path.join(location, 'resource_packs'));
+    fs.ensureDirSync(path.join(location, 'behavior_packs'));
+    fs.ensureDirSync(path.join(location, 'worlds', 'Bedrock level'));
+    fs.ensureDirSync(path.join(location, 'BDS-Addons'));
+    return location;
+}
+
+/**
+ * Creates a pack archive in memory.
+ * @param {String} name - The name of the pack.
+ * @param {String} uuid - The uuid of the pack.
+ * @param {Number[]} version - The version of the pack.
+ * @param {Object} options - Optional {type, dependencies, files} of the pack. Packs are behavior packs unless the type is resources,
+ * files are extra entries to add to the archive with the entry name as the key.
+ * @returns {Buffer} The contents of the .mcpack file.
+ */
+export function createPack(name, uuid, version, options = {}) {
+    let manifest = {
+        format_version: 2,
+        header: {name, description: 'Test pack', uuid, version, min_engine_version: [1, 20, 0]},
+        modules: [{type: options.type || 'data', uuid: crypto.randomUUID(), version}],
+        dependencies: options.dependencies || []
+    };
+    let zip = new admZip();
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest)));
+    Object.entries(options.files || {}).forEach(([entry, contents]) => zip.addFile(entry, Buffer.from(contents)));
+    return zip.toBuffer();
+}
+
+/**
+ * Creates an addon archive in memory containing the provided packs.
+ * @param {Object<String, Buffer>} packs - The contents of each pack with the file name as the key.
+ * @returns {Buffer} The contents of the .mcaddon file.
+ */
+export function createAddon(packs) {
+    let zip = new admZip();
+    Object.entries(packs).forEach(([name, contents]) => zip.addFile(name, contents));
+    return zip.toBuffer();
+}
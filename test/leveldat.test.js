@@ -0,0 +1,130 @@
+// Tests reading and writing the experiment toggles in level.dat.
+// Usage: npm test
+
+import {createInstaller, createServer} from './helpers.js';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+
+let serverPath;
+let levelDatPath;
+
+describe('level.dat experiments', () => {
+    beforeEach(() => {
+        serverPath = createServer();
+        levelDatPath = path.join(serverPath, 'worlds', 'Bedrock level', 'level.dat');
+    });
+
+    afterEach(() => fs.removeSync(serverPath));
+
+    it('writes back a level.dat without changes byte for byte', async () => {
+        let original = levelDat(10, worldTags(experiments([byte('gametest', 0)])));
+        fs.outputFileSync(levelDatPath, original);
+        let installer = await createInstaller(serverPath);
+
+        let listed = await installer.setExperiments({gametest: false});
+        assert.strictEqual(listed.find(experiment => experiment.key == 'gametest').enabled, false);
+        assert.ok(fs.readFileSync(levelDatPath).equals(original));
+    });
+
+    it('changes only the experiment toggles and keeps every other tag', async () => {
+        fs.outputFileSync(levelDatPath, levelDat(10, worldTags(experiments([byte('gametest', 0), byte('custom_toggle', 1)]))));
+        let installer = await createInstaller(serverPath);
+
+        let before = installer.listExperiments();
+        assert.deepStrictEqual(before.find(experiment => experiment.key == 'custom_toggle'), {key: 'custom_toggle', name: 'custom_toggle', enabled: true});
+        assert.strictEqual(before.find(experiment => experiment.key == 'gametest').enabled, false);
+
+        // The toggle is changed in place and the flags recording experiment use are added after it.
+        await installer.setExperiments({'Beta APIs': true});
+        let expected = levelDat(10, worldTags(experiments([
+            byte('gametest', 1), byte('custom_toggle', 1), byte('experiments_ever_used', 1), byte('saved_with_toggled_experiments', 1)
+        ])));
+        let contents = fs.readFileSync(levelDatPath);
+        assert.strictEqual(contents.readInt32LE(0), 10);
+        assert.strictEqual(contents.readInt32LE(4), contents.length - 8);
+        assert.ok(contents.equals(expected));
+        assert.strictEqual(installer.listExperiments().find(experiment => experiment.key == 'gametest').enabled, true);
+    });
+
+    it('adds the experiments tag when the world has none', async () => {
+        fs.outputFileSync(levelDatPath, levelDat(9, worldTags([])));
+        let installer = await createInstaller(serverPath);
+
+        await installer.setExperiments({data_driven_items: true});
+        let expected = levelDat(9, worldTags(experiments([
+            byte('data_driven_items', 1), byte('experiments_ever_used', 1), byte('saved_with_toggled_experiments', 1)
+        ])));
+        assert.ok(fs.readFileSync(levelDatPath).equals(expected));
+    });
+
+    it('refuses a level.dat with a header length that does not match the file', async () => {
+        let contents = levelDat(10, worldTags([]));
+        contents.writeInt32LE(contents.length, 4);
+        fs.outputFileSync(levelDatPath, contents);
+        let installer = await createInstaller(serverPath);
+
+        assert.throws(() => installer.listExperiments(), /Unable to read level.dat. The header lists \d+ bytes but the file has \d+/);
+        await assert.rejects(installer.setExperiments({gametest: true}), /Unable to read level.dat/);
+        assert.ok(fs.readFileSync(levelDatPath).equals(contents));
+    });
+});
+
+/**
+ * Creates the tags of a world using every NBT tag type, with the provided tags after them.
+ * @param {Buffer[]} extra - The tags to add at the end of the root compound.
+ * @returns {Buffer[]} The named tags of the root compound.
+ */
+function worldTags(extra) {
+    let tags = [
+        tag(8, 'LevelName', string('Bedrock level')),
+        tag(3, 'GameType', int(0)),
+        tag(2, 'Difficulty', short(-2)),
+        tag(4, 'RandomSeed', long(-1234567890123n)),
+        tag(5, 'rainLevel', float(0.5)),
+        tag(6, 'SpawnRadius', double(10.25)),
+        tag(7, 'Bytes', array([1, -1], 1, (part, value) => part.writeInt8(value))),
+        tag(9, 'lastOpenedWithVersion', Buffer.concat([Buffer.from([3]), int(2), int(1), int(20)])),
+        tag(11, 'Ints', array([7, -7], 4, (part, value) => part.writeInt32LE(value))),
+        tag(12, 'Longs', array([7n, -7n], 8, (part, value) => part.writeBigInt64LE(value))),
+        tag(10, 'abilities', compound([tag(1, 'flying', Buffer.from([0])), tag(8, 'unknown_tag', string('kept'))]))
+    ];
+    return tags.concat(extra);
+}
+
+/**
+ * Creates the experiments compound tag.
+ * @param {Buffer[]} toggles - The byte tags in the compound.
+ * @returns {Buffer[]} The experiments tag, to add to the root compound.
+ */
+function experiments(toggles) {
+    return [tag(10, 'experiments', compound(toggles))];
+}
+
+/**
+ * Creates the contents of a level.dat file with an unnamed root compound.
+ * @param {Number} version - The storage version written in the header.
+ * @param {Buffer[]} tags - The named tags of the root compound.
+ * @returns {Buffer} The 8 byte header followed by the little-endian NBT.
+ */
+function levelDat(version, tags) {
+    let nbt = tag(10, '', compound(tags));
+    let header = Buffer.alloc(8);
+    header.writeInt32LE(version, 0);
+    header.writeInt32LE(nbt.length, 4);
+    return Buffer.concat([header, nbt]);
+}
+
+// Little-endian NBT writers, kept separate from index.js so the expected bytes are built independently.
+function tag(type, name, payload) { return Buffer.concat([Buffer.from([type]), string(name), payload]) }
+function byte(name, value) { return tag(1, name, Buffer.from([value])) }
+function compound(tags) { return Buffer.concat(tags.concat(Buffer.from([0]))) }
+function string(value) { return Buffer.concat([short(Buffer.byteLength(value)), Buffer.from(value)]) }
+function short(value) { return write(2, part => part.writeInt16LE(value)) }
+function int(value) { return write(4, part => part.writeInt32LE(value)) }
+function long(value) { return write(8, part => part.writeBigInt64LE(value)) }
+function float(value) { return write(4, part => part.writeFloatLE(value)) }
+function double(value) { return write(8, part => part.writeDoubleLE(value)) }
+function array(values, size, writeItem) { return Buffer.concat([int(values.length)].concat(values.map(value => write(size, part => writeItem(part, value))))) }
+function write(size, writeTo) { let part = Buffer.alloc(size); writeTo(part); return part }
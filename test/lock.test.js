@@ -0,0 +1,90 @@
+// Tests the server lock shared by installers changing the same server.
+// Usage: npm test
+
+import {createInstaller, createServer, createPack} from './helpers.js';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'assert';
+import {spawn} from 'child_process';
+import path from 'path';
+import fs from 'fs-extra';
+
+const packUuid = '4b5e2f7a-1c3d-4e8f-9a0b-6c7d8e9f0a1b';
+const secondPackUuid = '7e8f9a0b-2d3e-4f5a-8b6c-1d2e3f4a5b6c';
+
+let serverPath;
+let lockPath;
+
+describe('server lock', () => {
+    beforeEach(() => {
+        serverPath = createServer();
+        lockPath = path.join(serverPath, '.bds-addon-installer.lock');
+    });
+
+    afterEach(() => fs.removeSync(serverPath));
+
+    it('runs the changes of two installers in one process one after the other', async () => {
+        let first = await createInstaller(serverPath);
+        let second = await createInstaller(serverPath);
+        let firstPack = writePack('First.mcpack', createPack('First', packUuid, [1, 0, 0]));
+        let secondPack = writePack('Second.mcpack', createPack('Second', secondPackUuid, [1, 0, 0]));
+
+        // Both installers read the pack JSON before either has changed it, the lock makes the second read it again.
+        let summaries = await Promise.all([first.installAddon(firstPack), second.installAddon(secondPack)]);
+        assert.deepStrictEqual(summaries.map(summary => summary.packs.map(result => result.action)), [['new'], ['new']]);
+        let worldPacks = fs.readJsonSync(path.join(serverPath, 'worlds', 'Bedrock level', 'world_behavior_packs.json'));
+        assert.deepStrictEqual(worldPacks.map(pack => pack.pack_id).sort(), [packUuid, secondPackUuid].sort());
+        assert.strictEqual(fs.existsSync(lockPath), false);
+    });
+
+    it('stops waiting for a lock held by a running process after the lock timeout', async () => {
+        let lock = {pid: process.ppid, instance: 'running', created: new Date().toISOString()};
+        fs.writeJsonSync(lockPath, lock);
+        let installer = await createInstaller(serverPath, {lockTimeout: 200});
+
+        let pack = writePack('First.mcpack', createPack('First', packUuid, [1, 0, 0]));
+        await assert.rejects(installer.installAddon(pack), new RegExp(`Unable to lock the server. It is being changed by another process \\(pid ${process.ppid}\\)`));
+        assert.deepStrictEqual(fs.readJsonSync(lockPath), lock);
+        assert.strictEqual(installer.listPacks().some(pack => pack.uuid == packUuid), false);
+    });
+
+    it('replaces a lock left by a process that stopped', async () => {
+        fs.writeJsonSync(lockPath, {pid: await getStoppedPid(), instance: 'stopped', created: new Date().toISOString()});
+        let installer = await createInstaller(serverPath, {lockTimeout: 200});
+
+        let summary = await installer.installAddon(writePack('First.mcpack', createPack('First', packUuid, [1, 0, 0])));
+        assert.deepStrictEqual(summary.packs.map(result => result.action), ['new']);
+        assert.strictEqual(fs.existsSync(lockPath), false);
+        assert.deepStrictEqual(fs.readdirSync(serverPath).filter(file => file.endsWith('.stale')), []);
+    });
+
+    it('replaces a lock left by an installer in this process that no longer holds it', async () => {
+        fs.writeJsonSync(lockPath, {pid: process.pid, instance: 'stopped', created: new Date().toISOString()});
+        let installer = await createInstaller(serverPath, {lockTimeout: 200});
+
+        let summary = await installer.installAddon(writePack('First.mcpack', createPack('First', packUuid, [1, 0, 0])));
+        assert.deepStrictEqual(summary.packs.map(result => result.action), ['new']);
+        assert.strictEqual(fs.existsSync(lockPath), false);
+    });
+});
+
+/**
+ * Saves a pack archive in the addon folder of the test server.
+ * @param {String} name - The file name of the archive.
+ * @param {Buffer} contents - The contents of the archive.
+ * @returns {String} The full path to the archive.
+ */
+function writePack(name, contents) {
+    let file = path.join(serverPath, 'BDS-Addons', name);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+/**
+ * Runs a process that exits straight away.
+ * @returns {Number} The id of the process, which is no longer running.
+ */
+async function getStoppedPid() {
+    let child = spawn(process.execPath, ['-e', '']);
+    await new Promise(resolve => child.on('exit', resolve));
+    return child.pid;
+}
@@ -0,0 +1,88 @@
+// Tests reading and changing the pack settings in server.properties.
+// Usage: npm test
+
+import {createInstaller, createServer} from './helpers.js';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+
+let serverPath;
+let propertiesPath;
+
+describe('server.properties settings', () => {
+    beforeEach(() => {
+        serverPath = createServer();
+        propertiesPath = path.join(serverPath, 'server.properties');
+    });
+
+    afterEach(() => fs.removeSync(serverPath));
+
+    it('changes a setting in place, keeping comments, CRLF line endings and the order of the other lines', async () => {
+        fs.writeFileSync(propertiesPath, [
+            '# Bedrock server settings',
+            'server-name=Dedicated Server',
+            '',
+            '! The world to load',
+            'level-name=Bedrock level',
+            '  texturepack-required = false  ',
+            'content-log-level:info',
+            'allow-list=false',
+            ''
+        ].join('\r\n'));
+        let installer = await createInstaller(serverPath);
+
+        await installer.setServerProperty('texturepack-required', 'true');
+        assert.strictEqual(fs.readFileSync(propertiesPath, 'utf8'), [
+            '# Bedrock server settings',
+            'server-name=Dedicated Server',
+            '',
+            '! The world to load',
+            'level-name=Bedrock level',
+            'texturepack-required=true',
+            'content-log-level:info',
+            'allow-list=false',
+            ''
+        ].join('\r\n'));
+        assert.deepStrictEqual(installer.getServerProperties('content-log-level'), {'content-log-level': 'info'});
+    });
+
+    it('adds a missing setting to the end of the file without a trailing line break', async () => {
+        fs.writeFileSync(propertiesPath, '# Settings\nlevel-name=Bedrock level');
+        let installer = await createInstaller(serverPath);
+
+        await installer.setServerProperty('content-log-file-enabled', true);
+        assert.strictEqual(fs.readFileSync(propertiesPath, 'utf8'), '# Settings\nlevel-name=Bedrock level\ncontent-log-file-enabled=true\n');
+    });
+
+    it('leaves the file untouched when the value does not change', async () => {
+        let contents = '# Settings\r\nlevel-name = Bedrock level\r\ntexturepack-required=true';
+        fs.writeFileSync(propertiesPath, contents);
+        let installer = await createInstaller(serverPath);
+
+        await installer.setServerProperty('texturepack-required', 'true');
+        assert.strictEqual(fs.readFileSync(propertiesPath, 'utf8'), contents);
+        assert.deepStrictEqual(installer.listSnapshots(), []);
+    });
+
+    it('reads the last value of a setting listed more than once and unset settings as null', async () => {
+        fs.writeFileSync(propertiesPath, 'level-name=Bedrock level\ncontent-log-level=error\ncontent-log-level=verbose\n');
+        let installer = await createInstaller(serverPath);
+
+        let properties = installer.getServerProperties();
+        assert.strictEqual(properties['content-log-level'], 'verbose');
+        assert.strictEqual(properties['texturepack-required'], null);
+        assert.strictEqual(Object.keys(properties)[0], 'level-name');
+    });
+
+    it('refuses settings unrelated to packs and values that are not allowed', async () => {
+        fs.writeFileSync(propertiesPath, 'level-name=Bedrock level\n');
+        let installer = await createInstaller(serverPath);
+
+        assert.throws(() => installer.getServerProperties('server-port'), /Unable to read server-port/);
+        await assert.rejects(installer.setServerProperty('server-port', '19132'), /Unable to change server-port. Only settings related to packs/);
+        await assert.rejects(installer.setServerProperty('texturepack-required', 'yes'), /The value must be one of true, false/);
+        await assert.rejects(installer.setServerProperty('level-name', 'World\nallow-cheats=true'), /can not include line breaks/);
+        assert.strictEqual(fs.readFileSync(propertiesPath, 'utf8'), 'level-name=Bedrock level\n');
+    });
+});
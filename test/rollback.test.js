@@ -0,0 +1,87 @@
+// Tests restoring the server when a run fails after it has started changing the server.
+// Usage: npm test
+
+import {createInstaller, createServer, createPack, createAddon} from './helpers.js';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'assert';
+import admZip from 'adm-zip';
+import path from 'path';
+import fs from 'fs-extra';
+
+const upgradedUuid = '4b5e2f7a-1c3d-4e8f-9a0b-6c7d8e9f0a1b';
+const resourceUuid = '7e8f9a0b-2d3e-4f5a-8b6c-1d2e3f4a5b6c';
+const brokenUuid = '9c0d1e2f-3a4b-4c5d-8e6f-7a8b9c0d1e2f';
+
+let serverPath;
+
+describe('restoring a failed run', () => {
+    beforeEach(() => serverPath = createServer());
+
+    afterEach(() => fs.removeSync(serverPath));
+
+    it('restores the pack JSON files and replaced folders when an extraction fails halfway through the run', async () => {
+        let installer = await createInstaller(serverPath);
+        fs.outputJsonSync(path.join(serverPath, 'worlds', 'Bedrock level', 'world_resource_packs.json'), []);
+        await installer.installAddon(writeFile('Upgraded.mcpack', createPack('Upgraded', upgradedUuid, [1, 0, 0], {files: {'v1.txt': 'first'}})));
+        let jsonFiles = ['valid_known_packs.json', 'worlds/Bedrock level/world_resource_packs.json', 'worlds/Bedrock level/world_behavior_packs.json'];
+        let before = Object.fromEntries(jsonFiles.map(file => [file, fs.readFileSync(path.join(serverPath, file), 'utf8')]));
+        let folders = [path.join(serverPath, 'behavior_packs', 'Upgraded'), path.join(serverPath, 'worlds', 'Bedrock level', 'behavior_packs', 'Upgraded')];
+        let manifestBefore = fs.readFileSync(path.join(folders[0], 'manifest.json'), 'utf8');
+
+        // The broken pack depends on the others, so the upgrade and the new resource pack are installed before its extraction fails.
+        let dependencies = [{uuid: upgradedUuid, version: [2, 0, 0]}, {uuid: resourceUuid, version: [1, 0, 0]}];
+        let addon = createAddon({
+            'Upgraded.mcpack': createPack('Upgraded', upgradedUuid, [2, 0, 0], {files: {'v2.txt': 'second'}}),
+            'Resource.mcpack': createPack('Resource', resourceUuid, [1, 0, 0], {type: 'resources'}),
+            'Broken.mcpack': createBrokenPack('Broken', brokenUuid, dependencies)
+        });
+        let summary = await installer.installAddon(writeFile('Bundle.mcaddon', addon));
+        assert.strictEqual(summary.rolledBack, true);
+        assert.match(summary.packs.find(result => result.name == 'Broken').error, /CRC32 checksum failed/);
+
+        // Every pack JSON file is back to its contents before the run.
+        jsonFiles.forEach(file => assert.strictEqual(fs.readFileSync(path.join(serverPath, file), 'utf8'), before[file], file));
+
+        // The replaced folders are restored and the folders created by the run are removed.
+        for (let folder of folders) {
+            assert.strictEqual(fs.readFileSync(path.join(folder, 'manifest.json'), 'utf8'), manifestBefore);
+            assert.deepStrictEqual(fs.readdirSync(folder).sort(), ['manifest.json', 'v1.txt']);
+        }
+        assert.strictEqual(fs.existsSync(path.join(serverPath, 'resource_packs', 'Resource')), false);
+        assert.strictEqual(fs.existsSync(path.join(serverPath, 'worlds', 'Bedrock level', 'resource_packs', 'Resource')), false);
+        assert.strictEqual(fs.existsSync(path.join(serverPath, 'worlds', 'Bedrock level', 'behavior_packs', 'Broken')), false);
+        assert.deepStrictEqual(installer.listPacks().filter(pack => pack.managed).map(pack => [pack.uuid, pack.version]), [[upgradedUuid, [1, 0, 0]]]);
+        assert.deepStrictEqual(installer.listSnapshots().map(snapshot => snapshot.status), ['complete']);
+    });
+});
+
+/**
+ * Saves an archive in the addon folder of the test server.
+ * @param {String} name - The file name of the archive.
+ * @param {Buffer} contents - The contents of the archive.
+ * @returns {String} The full path to the archive.
+ */
+function writeFile(name, contents) {
+    let file = path.join(serverPath, 'BDS-Addons', name);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+/**
+ * Creates a behavior pack with a valid manifest and an entry that fails its checksum when it is extracted.
+ * The broken entry is sorted before the manifest, so the extraction fails before any file of the pack is written.
+ * @param {String} name - The name of the pack.
+ * @param {String} uuid - The uuid of the pack.
+ * @param {Object[]} dependencies - The dependencies of the pack.
+ * @returns {Buffer} The contents of the .mcpack file.
+ */
+function createBrokenPack(name, uuid, dependencies) {
+    // The entries are stored without compression, so the bytes of the broken entry can be found and changed.
+    let pack = new admZip(createPack(name, uuid, [1, 0, 0], {dependencies, files: {'animations/broken.json': 'BROKEN-ENTRY'}}));
+    let zip = new admZip();
+    pack.getEntries().forEach(entry => zip.addFile(entry.entryName, entry.getData()));
+    zip.getEntries().forEach(entry => entry.header.method = 0);
+    let contents = zip.toBuffer();
+    contents[contents.indexOf('BROKEN-ENTRY')] = 'X'.charCodeAt(0);
+    return contents;
+}
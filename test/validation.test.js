@@ -0,0 +1,73 @@
+// Tests validating packs before they are installed.
+// Usage: npm test
+
+import {createInstaller, createServer, createPack, createAddon} from './helpers.js';
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'assert';
+import path from 'path';
+import fs from 'fs-extra';
+
+const packUuid = '4b5e2f7a-1c3d-4e8f-9a0b-6c7d8e9f0a1b';
+
+let serverPath;
+
+describe('validating packs', () => {
+    beforeEach(() => serverPath = createServer());
+
+    afterEach(() => fs.removeSync(serverPath));
+
+    it('refuses an archive with entries outside of the pack folder before anything is written', async () => {
+        let installer = await createInstaller(serverPath);
+        let pack = createPack('Escape', packUuid, [1, 0, 0], {files: {'../escaped.txt': 'outside', 'scripts/main.js': ''}});
+        let file = writeFile('Escape.mcpack', pack);
+        let before = listFiles(serverPath);
+
+        let summary = await installer.installAddon(file);
+        assert.strictEqual(summary.packs[0].action, 'failed');
+        assert.match(summary.packs[0].error, /failed validation\.\n - The archive contains an entry outside of the pack folder: \.\.\/escaped\.txt/);
+
+        // No file was extracted inside or outside of the server, and no snapshot was kept.
+        assert.deepStrictEqual(listFiles(serverPath), before);
+        assert.strictEqual(fs.existsSync(path.join(serverPath, '..', 'escaped.txt')), false);
+        assert.deepStrictEqual(installer.listSnapshots(), []);
+    });
+
+    it('refuses an addon containing a pack with entries outside of the pack folder', async () => {
+        let installer = await createInstaller(serverPath);
+        let addon = createAddon({'Escape.mcpack': createPack('Escape', packUuid, [1, 0, 0], {files: {'../../escaped.txt': 'outside'}})});
+        let file = writeFile('Escape.mcaddon', addon);
+        let before = listFiles(serverPath);
+
+        let summary = await installer.installAddon(file);
+        assert.strictEqual(summary.packs[0].action, 'failed');
+        assert.match(summary.packs[0].error, /The archive contains an entry outside of the pack folder: \.\.\/\.\.\/escaped\.txt/);
+        assert.deepStrictEqual(listFiles(serverPath), before);
+        assert.deepStrictEqual(installer.listSnapshots(), []);
+
+        // The error is listed for the pack inside of the addon when validating without installing.
+        let results = await installer.validatePack(file);
+        assert.deepStrictEqual(results.map(result => [result.name, result.errors]), [['Escape', ['The archive contains an entry outside of the pack folder: ../../escaped.txt']]]);
+    });
+});
+
+/**
+ * Saves an archive in the addon folder of the test server.
+ * @param {String} name - The file name of the archive.
+ * @param {Buffer} contents - The contents of the archive.
+ * @returns {String} The full path to the archive.
+ */
+function writeFile(name, contents) {
+    let file = path.join(serverPath, 'BDS-Addons', name);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+/**
+ * Lists every file and folder in a folder and its subfolders.
+ * The snapshots folder is left out, it is created for each run and checked with listSnapshots instead.
+ * @param {String} folder - The folder to list.
+ * @returns {String[]} The sorted paths, relative to the folder.
+ */
+function listFiles(folder) {
+    return fs.readdirSync(folder, {recursive: true}).filter(file => file != path.join('BDS-Addons', '.snapshots')).sort();
+}